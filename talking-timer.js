@@ -1,4 +1,4 @@
-/* globals HTMLElement, SpeechSynthesisUtterance, speechSynthesis, AudioContext, customElements, talkingTimerExternalDefaults */
+/* globals HTMLElement, CustomEvent, SpeechSynthesisUtterance, speechSynthesis, AudioContext, Audio, customElements, talkingTimerExternalDefaults */
 
 /**
  * @var {object} talkingTimerExternalDefaults (global variable)
@@ -18,1832 +18,7277 @@
  *   },
  *   preSpeakStart: integer (default: 2300),
  *   preSpeakEnd: integer (default: 3300),
- *   chimeDelay: integer (default: 5000),
+ *   chimeDelay: integer (default: 5000 - only used until an
+ *            audio file chime has loaded),
+ *   chime: string (default: "classic" - see `chime` attribute),
+ *   chimes: object (default: {} - extra chimes keyed by name. See
+ *            TalkingTimer.registerChime()),
+ *   sound: {
+ *     name: string (default: ""),
+ *     url: string (default: "" - audio file played instead of the
+ *            chime)
+ *   },
  *   suffixes: {
  *     first: string (default: " gone." - note the preceeding " "),
  *     last: string (default: " to go." - note the preceeding " "),
  *     half: string (default: "Half way."),
+ *     over: string (default: " over." - note the preceeding " "),
  *   },
  *   intervalTime: integer (default: 20),
  *   sayDefault: string (default: "1/2 30s last20 last15 allLast10"),
+ *   sayDefaultOvertime: string (default: "every1m"),
  *   endText: string (default: "Time's up!"),
  *   startText: string (default: "Ready. Set. Go!"),
+ *   voice: string (default: "" - best voice for `lang`),
+ *   lang: string (default: "" - page or browser language),
+ *   rate: number (default: 1),
+ *   pitch: number (default: 1),
+ *   volume: number (default: 1),
+ *   locales: object (default: {} - extra locale packs keyed by
+ *            language. See TalkingTimer.registerLocale()),
+ *   clips: object (default: {} - URLs of pre-recorded audio clips
+ *            keyed by the text they say. See `clips` attribute),
+ *   speaker: string (default: "webspeech" - name of the speaker
+ *            used to say announcements. See
+ *            TalkingTimer.registerSpeaker()),
+ *   vibrate: {
+ *     interval: array (default: [200]),
+ *     countdown: array (default: [60]),
+ *     end: array (default: [500, 200, 500, 200, 500])
+ *   },
+ *   cues: {
+ *     beep: object (sound played by the `beep` attribute. Same
+ *           format as a chime plus `volume`),
+ *     tick: object (sound played by the `tick` attribute)
+ *   },
  * }
  *
  * __NOTE:__ integers represent milliseconds and are used as delays
  *       between one action and another
  *
+ * __NOTE ALSO:__ `suffixes`, `endText` & `startText` only apply to
+ *       timers speaking English. Other languages get theirs from
+ *       their locale pack.
+ *
  * PS: This may or may not be the best solution to customising default
  *     configuration. I'll keep researching to see if I can find a
  *     better solution. For now this is simple and reliable.
  */
 
 /**
- * TalkingTimer is a web component for visual and audio countdown
- * timing. (For when my kids need to stop doing a thing they don't
- * want to stop. And for when I'm teaching and running a time
- * sensitive exercise)
+ * TalkingTimerSpeechQueue makes sure announcements are spoken one at
+ * a time (most urgent first) and that announcements which are out of
+ * date by the time they would be spoken are dropped rather than
+ * spoken late.
  *
- * references:
- *   https://developers.google.com/web/fundamentals/web-components/customelements
- *   https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements
+ * Each queued item is an object with the following properties:
+ * * `text`    {string}      what is to be spoken
+ * * `urgency` {number}      0 = low, 1 = normal, 2 = high (e.g.
+ *                           final countdown), 3 = highest (end of
+ *                           timer)
+ * * `expires` {number}      timestamp after which the item is out of
+ *                           date (-1 = never)
+ * * `source`  {HTMLElement} the timer making the announcement
+ * * `onspeak` {function}    (optional) called when it's the item's
+ *                           turn to be spoken
  */
-class TalkingTimer extends HTMLElement {
-  constructor () {
-    super()
-
-    this.initialValue = {
-      hours: 0,
-      minutes: 0,
-      seconds: 0
-    }
-    this.currentValue = {
-      hours: 0,
-      minutes: 0,
-      seconds: 0,
-      tenths: 0
-    }
-
-    this.endTime = 0
-
-    this.initialMilliseconds = 0
-    this.remainingMilliseconds = 0
-
-    this.config = {
-      autoDestruct: -1,
-      autoReset: false,
-      noCloseBtn: false,
-      noEdit: false,
-      noEndChime: false,
-      noPause: false,
-      noReconfigure: false,
-      noReset: false,
-      noRestart: false,
-      noSayEnd: false,
-      selfDestruct: false,
-      sayStart: false,
-      priority: this.getGlobal('fraction', 'priority')
-    }
-
-    /**
-     * @var {array} pre defines the time before a spoken interval
-     *                  when the `<talking-timer>` component should
-     *                  start speaking
-     *
-     * This is used to account for the length of time it takes to
-     * speak the interval. The intention is to have the speaking
-     * finish as close to the interval time as possible.
-     *
-     * `remaining` - represents the time left until the current timer
-     *               completes
-     * `delay`     - the amount of time the text-to-speech is
-     *               estimated to take
-     */
-    this.pre = [
-      { remaining: 10000, delay: this.getGlobal(200, 'pre', 10000) },
-      { remaining: 19999, delay: this.getGlobal(600, 'pre', 19999) },
-      { remaining: 86400, delay: this.getGlobal(1200, 'pre', 86400) }
-    ]
+class TalkingTimerSpeechQueue {
+  /**
+   * @param {function} prepare gets what's needed to speak a queued
+   *                 item. Returns an object with:
+   *                 * `speaker` {object} speaker (see
+   *                   TalkingTimerWebSpeechSpeaker)
+   *                 * `text`    {string} the text to be spoken
+   *                 * `options` {object} options for the speaker
+   */
+  constructor (prepare) {
+    this.queue = []
 
     /**
-     * @var {integer} preSpeakStart the number of millisecond it is
-     *                estimated to complete the text-to-speach intro
-     *                before starting the timer.
+     * @var {object|null} current the item currently being spoken
      */
-    this.preSpeakStart = this.getGlobal(2300, 'preSpeakStart')
+    this.current = null
 
     /**
-     * @var {integer} preSpeakEnd the number of millisecond it is
-     *                estimated to complete the end text-to-speach
-     *                when the timer finishes.
-     *
-     * Used to delay the endChime so it doesn't start while end
-     * text-to-speach is in progress.
+     * @var {boolean} speaking whether the current item has actually
+     *                started being spoken (set by the speaker's
+     *                `onstart` callback & when `speak()` resolves)
      */
-    this.preSpeakEnd = this.getGlobal(3300, 'preSpeakEnd')
-    this.chimeDelay = this.getGlobal(5000, 'chimeDelay')
+    this.speaking = false
 
-    this.suffixes = {
-      first: this.getGlobal(' gone.', 'suffixes', 'first'),
-      last: this.getGlobal(' to go.', 'suffixes', 'last'),
-      half: this.getGlobal('Half way.', 'suffixes', 'half')
-    }
-
-    this.intervalTime = this.getGlobal(20, 'intervalTime') // milliseconds
-
-    this.play = false
+    this.prepare = prepare
+  }
 
-    this.closeBtn = null
-    this.closeClick = null
-    this.editBtn = null
-    this.editClick = null
-    this.playPauseBtn = null
-    this.playPauseClick = null
-    this.resetBtn = null
-    this.resetClick = null
-    this.restartBtn = null
-    this.restartClick = null
-    this.numbers = null
-    this.progressTicker = null
-    this.h1 = null
-    this.sayDefault = this.getGlobal('1/2 30s last20 last15 allLast10', 'sayDefault')
-    this.say = ''
-    this.sayIntervals = []
-    this.workingIntervals = []
+  /**
+   * add() queues an announcement to be spoken as soon as possible
+   *
+   * Queued announcements from the same source that are no more
+   * urgent than the new one are out of date so they are dropped.
+   * If something less urgent is currently being spoken, it is cut
+   * off so the new announcement isn't late.
+   *
+   * @param {object} item announcement to be spoken
+   *
+   * @returns {void}
+   */
+  add (item) {
+    let a = 0
 
-    this.endText = this.getGlobal('Time\'s up!', 'endText')
-    this.startText = this.getGlobal('Ready. Set. Go!', 'startText')
+    this.queue = this.queue.filter(queued => (queued.source !== item.source || queued.urgency > item.urgency || queued.urgency >= 3))
 
-    this.multipliers = { hours: 3600000, minutes: 60000, seconds: 1000, tenths: 100 }
+    // Keep the queue ordered by urgency (first come first served
+    // for announcements with the same urgency)
+    while (a < this.queue.length && this.queue[a].urgency >= item.urgency) {
+      a += 1
+    }
+    this.queue.splice(a, 0, item)
 
-    let shadowRoot = this.attachShadow({ mode: 'open' })
-    shadowRoot.appendChild(this.getDOM())
-  }
+    if (this.current !== null && this.current.urgency < item.urgency) {
+      this.stop()
+    }
 
-  static get observedAttributes () {
-    return [
-      'currentValue',
-      'endTime',
-      'playing',
-      'remainingMilliseconds'
-    ]
+    this.next()
   }
 
-  // ======================================================
-  // START: standard custom element callbacks
+  /**
+   * next() speaks the next announcement in the queue (if nothing is
+   * currently being spoken). Announcements that are out of date are
+   * dropped.
+   *
+   * @returns {void}
+   */
+  next () {
+    if (this.current !== null) {
+      return
+    }
 
-  connectedCallback () {
-    this.parseAttributes()
+    const now = Date.now()
+    this.queue = this.queue.filter(item => (item.expires === -1 || item.expires >= now))
 
-    if (this.initialMilliseconds > 10000) {
-      this.playPauseClick = this.getPlayPauseClick()
-      this.playPauseBtn.addEventListener('click', this.playPauseClick)
+    if (this.queue.length === 0) {
+      return
+    }
 
-      if (this.config.noReset === true) {
-        this.resetBtn.classList.add('hide')
+    const item = this.queue.shift()
+    const job = this.prepare(item)
+    const done = () => {
+      // Ignore announcements that have already been cut off
+      if (this.current === item) {
+        this.current = null
+        this.speaking = false
+        this.next()
       }
+    }
 
-      this.resetClick = this.getResetClick()
-      this.resetBtn.addEventListener('click', this.resetClick)
-      if (this.config.noReset === true) {
-        this.resetBtn.classList.add('hide')
+    if (typeof item.onspeak === 'function') {
+      item.onspeak()
+    }
+
+    item.speaker = job.speaker
+    item.options = {
+      ...job.options,
+      onstart: () => {
+        if (this.current === item) {
+          this.speaking = true
+        }
       }
+    }
+    this.current = item
 
-      this.restartClick = this.getRestartClick()
-      this.restartBtn.addEventListener('click', this.restartClick)
+    Promise.resolve(job.speaker.speak(job.text, item.options)).then(done, done)
+  }
 
-      if (this.config.noCloseBtn === false) {
-        this.closeClick = this.getCloseClick()
-        this.closeBtn.addEventListener('click', this.closeClick)
-      } else {
-        this.h1.classList.add('noclosebtn')
-        this.closeBtn.remove()
-      }
+  /**
+   * cancel() removes queued announcements and stops the current
+   * announcement
+   *
+   * @param {HTMLElement} source (optional) only cancel announcements
+   *                 from this source
+   *
+   * @returns {void}
+   */
+  cancel (source) {
+    const all = (typeof source === 'undefined')
 
-      this.setTimeText()
-      this.resetTimerValues()
+    this.queue = this.queue.filter(item => (all === false && item.source !== source))
 
-      this.inProgress = false
-      this.voice = window.speechSynthesis
+    if (this.current !== null && (all === true || this.current.source === source)) {
+      this.stop()
+      this.next()
     }
   }
 
-  disconnectedCallback () {
-    this.playPauseBtn.removeEventListener('click', this.playPauseClick)
-    this.closeBtn.removeEventListener('click', this.closeClick)
-    this.resetBtn.removeEventListener('click', this.resetClick)
-    this.restartBtn.removeEventListener('click', this.restartClick)
-    if (this.config.noEdit === false) {
-      this.editBtn.removeEventListener('click', this.editClick)
+  /**
+   * stop() cuts off whatever is currently being spoken
+   *
+   * @returns {void}
+   */
+  stop () {
+    const item = this.current
+
+    this.current = null
+    this.speaking = false
+    if (item !== null) {
+      item.speaker.cancel(item.options)
     }
   }
 
-  //  END:  standard custom element callbacks
-  // ======================================================
-  // START: getters & setters
-
-  // get time () { return this.timeObjToString(this.initialValue) }
-
-  // set time (hoursMinutesSeconds) {
-  //   this.validateTimeDuration(hoursMinutesSeconds)
-  // }
+  /**
+   * isSpeaking() checks whether an announcement is currently being
+   * spoken
+   *
+   * @param {HTMLElement} source (optional) only check announcements
+   *                 from this source
+   *
+   * @returns {boolean}
+   */
+  isSpeaking (source) {
+    return (this.speaking === true && (typeof source === 'undefined' || this.current.source === source))
+  }
+}
 
-  get playing () { return this.playing }
+/**
+ * TalkingTimerWebSpeechSpeaker says announcements using the browser's
+ * Web Speech API (this is the default speaker)
+ *
+ * All speakers must have the following two methods:
+ * * `speak(text, options)` - say `text` then return a Promise that
+ *   resolves when finished. `options` contains `lang`, `voice`,
+ *   `rate`, `pitch`, `volume`, `timer` (the `<talking-timer>`
+ *   making the announcement), `onstart` (a function to call when
+ *   speaking actually starts) & `onblocked` (a function to call if
+ *   the browser won't allow speech until the user interacts with the
+ *   page)
+ * * `cancel(options)` - stop speaking immediately (the Promise
+ *   returned by `speak()` should still resolve). `options` is the
+ *   object that was passed to `speak()` for the announcement being
+ *   cut off. (Speakers are shared by every timer on the page so
+ *   this should only stop that announcement)
+ */
+class TalkingTimerWebSpeechSpeaker {
+  constructor () {
+    this.voiceMissing = ''
 
-  set playing (val) {
-    if (val) {
-      this.setAttribute('playing', 'playing')
-      if (!this.playing) {
-        this.startPlaying()
-      }
-      this.playing = true
-    } else {
-      this.removeAttribute('playing')
-      if (this.playing) {
-        this.pausePlaying()
-      }
-      this.playing = false
-    }
+    /**
+     * @var {array} pending announcements handed to the browser that
+     *                haven't finished yet (in the order the browser
+     *                will say them). Each has `text`, `options`,
+     *                `resolve`, `utterance` & `cancelled` properties
+     */
+    this.pending = []
   }
 
-  //  END:  getters & setters
-  // ======================================================
-  // START: click handlers
-
   /**
-   * startPlaying() does all the stuff required to start a timer
-   * running
+   * speak() says the text using speech synthesis
+   *
+   * @param {string} text Information to be spoken
+   * @param {object} options how the text is to be spoken
+   *
+   * @returns {Promise} resolves when the text has been spoken
    */
-  startPlaying () {
-    if (this.endTime === 0 && this.config.sayStart === true) {
-      this.saySomething(this.startText)
-      window.setTimeout(this.startPlayingInner, this.preSpeakStart, this)
-    } else {
-      this.startPlayingInner(this)
+  speak (text, options) {
+    if (typeof speechSynthesis === 'undefined') {
+      console.warn('talking-timer could not say "' + text + '" because this browser does not support speech synthesis')
+      return Promise.resolve()
     }
+
+    return new Promise(resolve => {
+      const job = { text: text, options: options, resolve: resolve, utterance: null, cancelled: false }
+
+      this.pending.push(job)
+      this.utter(job)
+    })
   }
 
   /**
-   * startPlayingInner() does all the heavy lifting required
-   * by startPlaying()
+   * utter() hands an announcement to the browser to be said
    *
-   * @param {this} obj the "this" context for the class
-   *               (needed because startPlayingInner() may be called
-   *               inside a setTimeout in which case, it will loose
-   *               the appropriate "this" context)
+   * @param {object} job announcement (see `pending`)
    *
    * @returns {void}
    */
-  startPlayingInner (obj) {
-    obj.remainingMilliseconds = obj.initialMilliseconds
-
-    if (obj.config.noPause === true) {
-      obj.playPauseBtn.classList.add('hide')
-      if (obj.config.noCloseBtn === false) {
-        obj.closeBtn.classList.add('hide')
-        obj.h1.classList.add('noclosebtn')
-      }
+  utter (job) {
+    const options = job.options
+    const utterance = new SpeechSynthesisUtterance(job.text)
+    // Voices are looked up every time because some browsers only
+    // make them available some time after the page has loaded
+    const voice = this.pickVoice(speechSynthesis.getVoices(), options.voice, options.lang)
+
+    utterance.lang = options.lang
+    utterance.volume = options.volume
+    utterance.rate = options.rate
+    utterance.pitch = options.pitch
+
+    if (voice !== null) {
+      utterance.voice = voice
+      utterance.lang = voice.lang
     }
 
-    if (obj.config.noReset === false && obj.config.noPause === false) {
-      obj.resetBtn.classList.remove('hide')
+    utterance.onstart = (event) => {
+      if (job.cancelled === true) {
+        // It was cut off while waiting behind another timer's
+        // announcement
+        this.skip()
+      } else if (typeof options.onstart === 'function') {
+        options.onstart(event)
+      }
     }
-
-    if (obj.config.noRestart === false && obj.config.noPause === false) {
-      obj.restartBtn.classList.remove('hide')
+    utterance.onend = () => { this.finish(job) }
+    utterance.onerror = (event) => {
+      if (event.error === 'not-allowed' && typeof options.onblocked === 'function') {
+        // The browser won't speak until the user has interacted
+        // with the page
+        options.onblocked()
+      }
+      this.finish(job)
     }
 
-    obj.setProgressTicker(obj.intervalTime)
-    obj.playPauseBtn.classList.add('playing')
-    obj.playPauseTxt.innerHTML = 'Pause '
-    obj.playPauseIcon.innerHTML = '&Verbar;'
-    obj.play = true
+    job.utterance = utterance
+    speechSynthesis.speak(utterance)
   }
 
   /**
-   * pausePlaying() suspends the timer and updates the HTML to show
-   * timer is stopped
+   * finish() forgets an announcement once the browser is done with
+   * it
+   *
+   * @param {object} job announcement (see `pending`)
    *
    * @returns {void}
    */
-  pausePlaying () {
-    this.clearTimerInterval()
-    this.playPauseBtn.classList.remove('playing')
-    this.playPauseTxt.innerHTML = 'Play '
-    this.playPauseIcon.innerHTML = '&bigtriangledown;'
-    this.play = false
+  finish (job) {
+    const a = this.pending.indexOf(job)
+
+    if (a !== -1) {
+      this.pending.splice(a, 1)
+    }
+    job.resolve()
   }
 
   /**
-   * endPlaying() does all the stuff needed to show the
-   * timer has ended
+   * cancel() stops saying an announcement
    *
-   * removes the interval used by the timer, updates the
-   * HTML and makes sounds
+   * @param {object} options (optional) the options the announcement
+   *                 was spoken with. (If left out, everything is
+   *                 stopped)
    *
    * @returns {void}
    */
-  endPlaying () {
-    let delay = 0
-    if (this.config.noSayEnd === false) {
-      this.saySomething(this.endText)
-      delay = this.preSpeakEnd
+  cancel (options) {
+    const all = (typeof options === 'undefined')
+    let found = false
+
+    for (let a = 0; a < this.pending.length; a += 1) {
+      const job = this.pending[a]
+
+      if (all === true || job.options === options) {
+        found = true
+        job.cancelled = true
+        // Not all browsers fire `end` (or `error`) when speech is
+        // cancelled
+        job.resolve()
+      }
     }
-    if (this.config.noEndChime === false) {
-      window.setTimeout(this.endSound, delay)
-      delay = this.chimeDelay
+
+    // Anything cut off while it's still waiting its turn is skipped
+    // when it starts (see utter())
+    if (found === true && this.pending[0].cancelled === true) {
+      this.skip()
     }
+  }
 
-    this.numbers.classList.add('finished')
-    this.playPauseBtn.classList.add('finished')
+  /**
+   * skip() stops the announcement the browser is currently saying
+   * (because it has been cancelled)
+   *
+   * The browser can only stop everything at once so announcements
+   * from other timers that were waiting are handed to it again
+   *
+   * @returns {void}
+   */
+  skip () {
+    const waiting = this.pending.filter(job => job.cancelled === false)
 
-    this.clearTimerInterval()
+    for (let a = 0; a < this.pending.length; a += 1) {
+      const utterance = this.pending[a].utterance
 
-    if (this.config.autoDestruct !== -1) {
-      const timeout = (this.config.autoDestruct < delay) ? delay : this.config.autoDestruct
-      window.setTimeout((obj) => { obj.remove() }, timeout, this)
+      utterance.onstart = null
+      utterance.onend = null
+      utterance.onerror = null
+    }
+    this.pending = waiting
 
-      // This timer is going to self destruct.
-      // Don't bother doing anything more
-      return
-    } else if (this.config.autoReset === true) {
-      this.resetClick()
+    if (typeof speechSynthesis !== 'undefined') {
+      speechSynthesis.cancel()
     }
 
-    if (this.config.noPause === true) {
-      this.playPauseBtn.classList.remove('hide')
-      if (this.config.noCloseBtn === false) {
-        this.closeBtn.classList.remove('hide')
-        this.h1.classList.remove('noclosebtn')
-      }
+    for (let a = 0; a < waiting.length; a += 1) {
+      this.utter(waiting[a])
     }
   }
 
   /**
-   * getPlayPauseClick() returns a function for handling click events
-   * on the Play/Pause buttton
+   * pickVoice() chooses the best voice for speaking announcements
    *
-   * When timer is running, it pause it. When timer is paused or has
-   * not yet started it starts the timer running.
+   * 1. the voice whose name (or URI) matches `name`
+   * 2. a voice for the exact language (e.g. "en-AU")
+   * 3. a voice for the same base language (e.g. "en-GB" for "en-AU")
    *
-   * @returns {function}
+   * Where more than one voice matches, the browser's default voice
+   * is preferred, then voices that don't need a network connection.
+   *
+   * @param {array} voices list of SpeechSynthesisVoice objects
+   * @param {string} name name of the preferred voice (may be empty)
+   * @param {string} lang BCP 47 language tag
+   *
+   * @returns {SpeechSynthesisVoice|null} NULL if no voice is
+   *                suitable (the browser will choose)
    */
-  getPlayPauseClick () {
-    const playPauseClick = (event) => {
-      if (this.play) {
-        // pausing
-        this.pausePlaying()
-      } else {
-        // start playing
-        this.startPlaying()
-      }
+  pickVoice (voices, name, lang) {
+    const tidy = (tag) => tag.toLowerCase().replace('_', '-')
+    const _lang = tidy(lang)
+    const best = (list) => list.filter(voice => voice.default)[0] || list.filter(voice => voice.localService)[0] || list[0]
+
+    if (voices.length === 0) {
+      return null
     }
 
-    return playPauseClick
-  }
+    if (typeof name === 'string' && name !== '') {
+      const named = voices.filter(voice => (voice.name === name || voice.voiceURI === name))
 
-  /**
-   * getResetClick() handles getting the timer ready
-   * to start from begining
-   *
-   * @returns {function}
-   */
-  getResetClick () {
-    const resetClick = () => {
-      this.pausePlaying()
-      this.resetTimerValues()
+      if (named.length > 0) {
+        return named[0]
+      }
 
-      this.numbers.innerHTML = this.timeObjToString(this.initialValue)
-      this.progress.value = (0)
-      this.playPauseTxt.innerHTML = 'Start '
+      if (this.voiceMissing !== name) {
+        // Only complain once
+        console.warn('talking-timer could not find a voice called "' + name + '". Using a voice for "' + lang + '" instead')
+        this.voiceMissing = name
+      }
+    }
 
-      this.numbers.classList.remove('finished')
-      this.playPauseBtn.classList.remove('finished')
+    const exact = voices.filter(voice => tidy(voice.lang) === _lang)
+    if (exact.length > 0) {
+      return best(exact)
+    }
 
-      this.restartBtn.classList.add('hide')
-      this.resetBtn.classList.add('hide')
+    const base = voices.filter(voice => tidy(voice.lang).split('-')[0] === _lang.split('-')[0])
+    if (base.length > 0) {
+      return best(base)
     }
 
-    return resetClick
+    return null
   }
+}
 
+/**
+ * TalkingTimerAudioClipSpeaker plays pre-recorded audio clips instead
+ * of using speech synthesis (e.g. for a more natural voice or for
+ * languages the browser can't speak)
+ *
+ * Clips are preloaded as soon as the speaker is created. Anything
+ * without a clip (or whose clip couldn't be loaded) is handed to the
+ * fallback speaker.
+ */
+class TalkingTimerAudioClipSpeaker {
   /**
-   * getRestartClick() returns a function to be used as a click handler
-   * for the custom element's restart button.
-   *
-   * Click handler resets timer and starts playing.
-   *
-   * @returns {function}
+   * @param {object} clips URLs for audio clips keyed by the text
+   *                 they say (e.g. `{ "Half way.": "clips/half.mp3" }`)
+   *                 Case, extra white space & trailing punctuation
+   *                 are ignored when matching text to clips
+   * @param {object} fallback (optional) speaker for text without a
+   *                 clip. (Default: a new TalkingTimerWebSpeechSpeaker)
    */
-  getRestartClick () {
-    const restartClick = () => {
-      this.resetClick()
-      this.startPlaying()
+  constructor (clips, fallback) {
+    this.clips = {}
+    this.fallback = (typeof fallback === 'object' && fallback !== null) ? fallback : new TalkingTimerWebSpeechSpeaker()
+    this.audio = null
+    this.resolve = null
+    this.options = null
+
+    if (typeof clips === 'object' && clips !== null) {
+      for (const text in clips) {
+        if (typeof clips[text] === 'string' && clips[text].trim() !== '') {
+          this.clips[TalkingTimerAudioClipSpeaker.getKey(text)] = this.preload(clips[text].trim())
+        }
+      }
     }
-
-    return restartClick
   }
 
   /**
-   * getCloseClick() returns a function to be used as a click handler
-   * for the custom element's close button.
+   * getKey() normalises text so it can be matched to a clip
+   * (e.g. "Half  way!" & "half way." both become "half way")
    *
-   * Click handler clears all window.intervals set when a timer
-   * starts.
-   * Removes all event listeners then removes the custom element
-   * from the DOM
+   * @param {string} text text to be spoken
    *
-   * @returns {function}
+   * @returns {string}
    */
-  getCloseClick () {
-    const closeClick = (event) => {
-      if (this.progressTicker !== null) {
-        window.clearInterval(this.progressTicker)
-      }
-
-      this.playPauseBtn.removeEventListener('click', this.playPauseClick)
-      this.resetBtn.removeEventListener('click', this.resetClick)
-      this.restartBtn.removeEventListener('click', this.restartClick)
-      this.closeBtn.removeEventListener('click', this.closeClick)
-      this.remove()
-    }
-
-    return closeClick
+  static getKey (text) {
+    return text.trim().replace(/\s+/g, ' ').replace(/[.!?,;:\s]+$/, '').toLowerCase()
   }
 
-  //  END:  click handlers
-  // ======================================================
-  // START: DOM builders
-
   /**
-   * getDOM builds the shadow DOM for the custom element
+   * preload() starts loading a clip so it's ready to play (and its
+   * duration is known) by the time it's needed
    *
-   * Creates the following nodes:
-   * 1. wrapping div used as the shell of the element
-   * 2. a style element with all the CSS for the element
-   * 3. the heading containing the user supplied content for the
-   *    title of the timer
-   * 4. the progress bar to show where the timer is at visually
-   * 5. a span containing the numbers for the textual representation
-   *    of the timer's progress
-   * 6. a wrapping div containing the buttons for
-   *    * pause/play
-   *    * restart ("Start again")
-   *    * reset
-   * 7. a close button to dismis the timer
+   * @param {string} url location of the audio file
+   *
+   * @returns {object} clip with `url`, `audio`, `duration` (in
+   *                milliseconds, -1 until known) & `failed`
    */
-  getDOM () {
-    const wrap = document.createElement('div')
-    wrap.setAttribute('class', 'TalkingTimer-wrapper')
-
-    const css = this.initStyle()
-    const style = document.createElement('style')
-    style.appendChild(css)
+  preload (url) {
+    const clip = { url: url, audio: new Audio(), duration: -1, failed: false }
 
-    const h1 = document.createElement('h1')
-    const slot = document.createElement('slot')
-    h1.appendChild(slot)
-    wrap.appendChild(h1)
-    this.h1 = h1
+    clip.audio.preload = 'auto'
+    clip.audio.addEventListener('loadedmetadata', () => {
+      if (isFinite(clip.audio.duration)) {
+        clip.duration = Math.round(clip.audio.duration * 1000)
+      }
+    })
+    clip.audio.addEventListener('error', () => {
+      if (clip.failed === false) {
+        console.warn('talking-timer could not load audio clip "' + url + '". Speech will be used instead')
+        clip.failed = true
+      }
+    })
+    clip.audio.src = url
 
-    const progress = document.createElement('progress')
-    progress.setAttribute('max', 1)
-    progress.setAttribute('value', 0)
-    wrap.appendChild(progress)
-    this.progress = progress
+    return clip
+  }
 
-    const numbers = document.createElement('span')
-    numbers.setAttribute('class', 'timer-text')
-    // numbers.appendChild(document.createTextNode(startTime))
-    const numbersWrap = document.createElement('div')
-    numbersWrap.setAttribute('class', 'timer-text--wrap')
-    numbersWrap.appendChild(numbers)
-    wrap.appendChild(numbersWrap)
+  /**
+   * getClip() gets the (successfully loaded) clip for the text
+   *
+   * @param {string} text text to be spoken
+   *
+   * @returns {object|null}
+   */
+  getClip (text) {
+    const clip = this.clips[TalkingTimerAudioClipSpeaker.getKey(text)]
 
-    this.numbers = numbers
+    return (typeof clip === 'object' && clip.failed === false) ? clip : null
+  }
 
-    wrap.appendChild(this.initMainBtns())
-    wrap.appendChild(this.initCloseBtn())
-    wrap.appendChild(style)
+  /**
+   * getDuration() gets how long the clip for the text takes to play
+   *
+   * @param {string} text text to be spoken
+   *
+   * @returns {number} number of milliseconds. -1 if there's no clip
+   *                or its duration isn't known yet
+   */
+  getDuration (text) {
+    const clip = this.getClip(text)
 
-    return wrap
+    return (clip !== null) ? clip.duration : -1
   }
 
   /**
-   * initCloseBtn() builds a close button to be inserted into the
-   * HTML of the custom element
+   * speak() plays the clip for the text supplied
    *
-   * @returns {HTMLElement} simple close button
+   * @param {string} text Information to be spoken
+   * @param {object} options how the text is to be spoken
+   *
+   * @returns {Promise} resolves when the clip has finished
    */
-  initCloseBtn () {
-    const close = document.createElement('button')
-    const closeSR = document.createElement('span')
-    const closeIcon = document.createElement('span')
+  speak (text, options) {
+    const clip = this.getClip(text)
 
-    closeSR.setAttribute('class', 'sr-only')
-    closeSR.appendChild(document.createTextNode('Close'))
+    if (clip === null) {
+      return this.fallback.speak(text, options)
+    }
 
-    closeIcon.setAttribute('class', 'smallBtn__icon')
-    closeIcon.innerHTML = '&CircleTimes;'
+    return new Promise(resolve => {
+      const audio = clip.audio
+      const finish = () => {
+        if (this.resolve === finish) {
+          this.audio = null
+          this.resolve = null
+          this.options = null
+          resolve()
+        }
+      }
+      const failed = () => {
+        if (this.resolve === finish) {
+          // Say it anyway
+          this.audio = null
+          this.resolve = null
+          this.options = null
+          this.fallback.speak(text, options).then(resolve, resolve)
+        }
+      }
 
-    close.setAttribute('class', 'closeBtn smallBtn')
-    close.appendChild(closeSR)
-    close.appendChild(closeIcon)
+      audio.volume = (typeof options.volume === 'number') ? options.volume : 1
+      audio.currentTime = 0
+      audio.onplaying = options.onstart
+      audio.onended = finish
+      audio.onerror = failed
 
-    this.closeBtn = close
+      this.audio = audio
+      this.resolve = finish
+      this.options = options
 
-    return close
+      const playing = audio.play()
+      if (typeof playing === 'object' && playing !== null) {
+        playing.catch(failed)
+      }
+    })
   }
 
   /**
-   * initMainBtns() builds three buttons and wraps them in a <div>
+   * cancel() stops the clip currently playing
    *
-   * Buttons are:
-   *   * pausePlay - used to control the countdown timing process
-   *   * restart - used to trigger a reset, play action
-   *   * reset - used to trigger a stop, reset action
+   * @param {object} options (optional) the options the announcement
+   *                 was spoken with. (The clip is only stopped if it
+   *                 was played for that announcement)
    *
-   * @returns {HTMLElement}
+   * @returns {void}
    */
-  initMainBtns () {
-    const btnWrap = document.createElement('div')
-    btnWrap.setAttribute('class', 'btn-wrapper')
-
-    const playPauseIcon = document.createElement('span')
-    playPauseIcon.innerHTML = '&bigtriangledown;'
-    playPauseIcon.setAttribute('class', 'non-sr icon')
-
-    const playPauseTxt = document.createElement('span')
-    playPauseTxt.setAttribute('class', 'playPauseTxt')
-    playPauseTxt.appendChild(document.createTextNode('Start '))
+  cancel (options) {
+    this.fallback.cancel(options)
+    if (typeof options !== 'undefined' && options !== this.options) {
+      return
+    }
+    if (this.audio !== null) {
+      this.audio.pause()
+    }
+    if (this.resolve !== null) {
+      this.resolve()
+    }
+  }
+}
 
-    const playPause = document.createElement('button')
-    playPause.setAttribute('class', 'playPauseBtn')
-    playPause.appendChild(playPauseTxt)
-    playPause.appendChild(playPauseIcon)
+/**
+ * TalkingTimerConsoleSpeaker writes announcements to the browser's
+ * console instead of saying them (e.g. for debugging)
+ */
+class TalkingTimerConsoleSpeaker {
+  speak (text, options) {
+    if (typeof options.onstart === 'function') {
+      options.onstart()
+    }
+    console.log('talking-timer says: "' + text + '"')
+    return Promise.resolve()
+  }
 
-    const restartIcon = document.createElement('span')
-    restartIcon.setAttribute('class', 'non-sr icon')
-    restartIcon.innerHTML = '&circlearrowright;'
+  cancel () {}
+}
 
-    const restart = document.createElement('button')
-    restart.setAttribute('class', 'restartBtn')
-    restart.appendChild(document.createTextNode('Start again '))
-    restart.appendChild(restartIcon)
-    restart.classList.add('hide')
+/**
+ * TalkingTimerRecordingSpeaker keeps a record of every announcement
+ * (and when it was made) instead of saying it (e.g. to list a
+ * silent timer's announcements on the page)
+ *
+ * Each item in `utterances` has `text`, `time` (timestamp),
+ * `options` & `cancelled` properties
+ */
+class TalkingTimerRecordingSpeaker {
+  /**
+   * @param {number} duration (optional) number of milliseconds each
+   *                 announcement pretends to take to say
+   *                 (Default: 0)
+   */
+  constructor (duration) {
+    this.duration = (typeof duration === 'number') ? duration : 0
+    this.utterances = []
 
-    const resetIcon = document.createElement('span')
-    resetIcon.setAttribute('class', 'non-sr icon')
-    resetIcon.innerHTML = '&hookleftarrow;'
+    /**
+     * @var {object|null} current the announcement currently being
+     *                "said"
+     */
+    this.current = null
+    this.resolve = null
+  }
 
-    const reset = document.createElement('button')
-    reset.setAttribute('class', 'resetBtn')
-    reset.appendChild(document.createTextNode('Reset '))
-    reset.appendChild(resetIcon)
-    reset.classList.add('hide')
+  speak (text, options) {
+    const utterance = { text: text, time: Date.now(), options: options, cancelled: false }
 
-    btnWrap.appendChild(playPause)
-    btnWrap.appendChild(restart)
-    btnWrap.appendChild(reset)
+    this.utterances.push(utterance)
+    if (typeof options.onstart === 'function') {
+      options.onstart()
+    }
 
-    this.playPauseBtn = playPause
-    this.playPauseIcon = playPauseIcon
-    this.playPauseTxt = playPauseTxt
-    this.restartBtn = restart
-    this.resetBtn = reset
+    return new Promise(resolve => {
+      const finish = () => {
+        if (this.resolve === finish) {
+          this.current = null
+          this.resolve = null
+        }
+        resolve()
+      }
 
-    return btnWrap
+      this.current = utterance
+      this.resolve = finish
+      window.setTimeout(finish, this.duration)
+    })
   }
 
   /**
-   * initStyle() returns block of CSS for styling the <talking-timer>
-   * element's shadow DOM
+   * cancel() marks the current announcement as cut off
    *
-   * @returns {textNode} CSS string
+   * @param {object} options (optional) the options the announcement
+   *                 was spoken with. (Nothing is cancelled if the
+   *                 current announcement was spoken with different
+   *                 options)
+   *
+   * @returns {void}
    */
-  initStyle () {
-    return document.createTextNode(`
-      :host {
-        --closebtn-left: 2;
-        --closebtn-right: 3;
-        --closebtn-top: 1;
-        --closebtn-bottom: 2;
+  cancel (options) {
+    if (this.resolve === null || (typeof options !== 'undefined' && options !== this.current.options)) {
+      return
+    }
+    this.current.cancelled = true
+    this.resolve()
+  }
 
-        --configbtn-left: -2;
-        --configbtn-right: -1;
-        --configbtn-top: 3;
-        --configbtn-bottom: 4;
+  /**
+   * @returns {array} just the text of everything said
+   */
+  get texts () { return this.utterances.map(utterance => utterance.text) }
 
-        --btn-color: inherit;
-        --btn-background: #fff;
-        --btn-size: 1.25em;
-        --btn-padding: 0.5em 0;
-        --btn-border-color: #c0e;
-        --btn-border-width: 0.05em;
-        --btn-hover-color: #fff;
-        --btn-hover-background: #eee;
+  /**
+   * clear() forgets everything that's been said
+   *
+   * @returns {void}
+   */
+  clear () {
+    this.utterances = []
+  }
+}
+
+/**
+ * TalkingTimer is a web component for visual and audio countdown
+ * timing. (For when my kids need to stop doing a thing they don't
+ * want to stop. And for when I'm teaching and running a time
+ * sensitive exercise)
+ *
+ * references:
+ *   https://developers.google.com/web/fundamentals/web-components/customelements
+ *   https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements
+ */
+class TalkingTimer extends HTMLElement {
+  constructor () {
+    super()
+
+    this.initialValue = {
+      hours: 0,
+      minutes: 0,
+      seconds: 0
+    }
+    this.currentValue = {
+      hours: 0,
+      minutes: 0,
+      seconds: 0,
+      tenths: 0
+    }
+
+    this.endTime = 0
+
+    this.initialMilliseconds = 0
+    this.remainingMilliseconds = 0
+
+    this.config = {
+      autoDestruct: -1,
+      autoReset: false,
+      flash: false,
+      noCaptions: false,
+      noCloseBtn: false,
+      noEdit: false,
+      noEndChime: false,
+      noPause: false,
+      noReconfigure: false,
+      noReset: false,
+      noRestart: false,
+      noSayEnd: false,
+      noVolume: false,
+      overtime: false,
+      selfDestruct: false,
+      sayStart: false,
+      priority: this.getGlobal('fraction', 'priority'),
+      mode: 'countdown',
+      hasLimit: true
+    }
+
+    /**
+     * @var {number} startTime timestamp for when a stopwatch without
+     *                a `limit` would have started if it had never
+     *                been paused (Zero when it's not running)
+     */
+    this.startTime = 0
+
+    /**
+     * @var {number} elapsedMilliseconds how long a stopwatch without
+     *                a `limit` has been running (excluding time
+     *                spent paused)
+     */
+    this.elapsedMilliseconds = 0
+
+    /**
+     * @var {object|null} workingElapsed announcements still to come
+     *                for a stopwatch without a `limit`
+     *                (see newElapsedSchedule())
+     */
+    this.workingElapsed = null
+
+    /**
+     * @var {array} workingElapsedCues beeps & ticks still to come for
+     *                a stopwatch without a `limit` (one schedule per
+     *                sound)
+     */
+    this.workingElapsedCues = []
+
+    /**
+     * @var {array} pre defines the time before a spoken interval
+     *                  when the `<talking-timer>` component should
+     *                  start speaking
+     *
+     * This is used to account for the length of time it takes to
+     * speak the interval. The intention is to have the speaking
+     * finish as close to the interval time as possible.
+     *
+     * `remaining` - represents the time left until the current timer
+     *               completes
+     * `delay`     - the amount of time the text-to-speech is
+     *               estimated to take
+     */
+    this.pre = [
+      { remaining: 10000, delay: this.getGlobal(200, 'pre', 10000) },
+      { remaining: 19999, delay: this.getGlobal(600, 'pre', 19999) },
+      { remaining: 86400, delay: this.getGlobal(1200, 'pre', 86400) }
+    ]
+
+    /**
+     * @var {integer} preSpeakStart the number of millisecond it is
+     *                estimated to complete the text-to-speach intro
+     *                before starting the timer.
+     */
+    this.preSpeakStart = this.getGlobal(2300, 'preSpeakStart')
+
+    /**
+     * @var {integer} preSpeakEnd the number of millisecond it is
+     *                estimated to complete the end text-to-speach
+     *                when the timer finishes.
+     *
+     * Used to delay the endChime so it doesn't start while end
+     * text-to-speach is in progress.
+     */
+    this.preSpeakEnd = this.getGlobal(3300, 'preSpeakEnd')
+    this.chimeDelay = this.getGlobal(5000, 'chimeDelay')
+
+    /**
+     * @var {object} vibratePatterns Vibration API patterns (lists of
+     *                vibrate/pause durations in milliseconds) for
+     *                each kind of announcement
+     */
+    this.vibratePatterns = {
+      interval: this.getGlobal([200], 'vibrate', 'interval'),
+      countdown: this.getGlobal([60], 'vibrate', 'countdown'),
+      end: this.getGlobal([500, 200, 500, 200, 500], 'vibrate', 'end')
+    }
+
+    /**
+     * @var {array} vibrateTypes the kinds of announcement that make
+     *                the device vibrate (see `vibrate` attribute)
+     */
+    this.vibrateTypes = []
+
+    /**
+     * @var {object|null} chime the end chime (see normaliseChime())
+     */
+    this.chime = null
+
+    /**
+     * @var {string} chimeSource what `chime` was built from (so audio
+     *                files are only reloaded when the chime changes)
+     */
+    this.chimeSource = ''
+
+    /**
+     * @var {array} chimeNodes oscillator & gain nodes for the notes
+     *                of the chime that is playing (or scheduled)
+     */
+    this.chimeNodes = []
+
+    /**
+     * @var {number|null} chimeTimeout ID of the timeout that starts
+     *                the chime (once the end message has been said)
+     */
+    this.chimeTimeout = null
+
+    /**
+     * @var {number} endSoundsUntil timestamp for when the end message
+     *                & chime will have finished (see endPlaying())
+     */
+    this.endSoundsUntil = 0
+
+    /**
+     * @var {object|null} chimeWaiting set while the chime is waiting
+     *                for the browser to let audio run (see
+     *                whenAudioRuns())
+     */
+    this.chimeWaiting = null
+
+    /**
+     * @var {Audio|null} chimeAudio audio file chime that is playing
+     */
+    this.chimeAudio = null
+
+    /**
+     * @var {boolean} isMuted whether all the timer's sounds (speech,
+     *                chimes, beeps & ticks) are silenced
+     */
+    this.isMuted = false
+
+    /**
+     * @var {object|null} audioLevel `{volume, muted}` set with the
+     *                timer's volume controls (or the `volume` &
+     *                `muted` properties). Overrides the attributes
+     *                and is saved so it survives a reload.
+     */
+    this.audioLevel = null
+
+    /**
+     * @var {GainNode|null} audioOutput the node all the timer's
+     *                chimes & cues go through (so volume & mute
+     *                changes apply to sounds that are already playing)
+     */
+    this.audioOutput = null
+
+    /**
+     * @var {object} locale the locale pack used to build spoken
+     *                messages (see TalkingTimer.registerLocale())
+     */
+    this.locale = TalkingTimer.getLocale('en')
+    this.suffixes = {
+      first: this.getGlobal(' gone.', 'suffixes', 'first'),
+      last: this.getGlobal(' to go.', 'suffixes', 'last'),
+      half: this.getGlobal('Half way.', 'suffixes', 'half'),
+      over: this.getGlobal(' over.', 'suffixes', 'over')
+    }
+
+    this.intervalTime = this.getGlobal(20, 'intervalTime') // milliseconds
+
+    /**
+     * @var {TalkingTimerSpeechQueue} speech makes sure announcements
+     *                don't pile up or talk over each other (not used
+     *                if the timer is in a `<talking-timer-group>`)
+     */
+    this.speech = new TalkingTimerSpeechQueue(item => {
+      return { speaker: this.getSpeaker(), text: item.text, options: this.getSpeechOptions() }
+    })
+
+    /**
+     * @var {object|null} elementSpeaker speaker set for just this
+     *                timer (see the `speaker` property)
+     */
+    this.elementSpeaker = null
+
+    /**
+     * @var {object|null} clipSpeaker plays pre-recorded clips in
+     *                place of speech (see the `clips` attribute)
+     */
+    this.clipSpeaker = null
+
+    /**
+     * @var {string} clipsJSON the clips used to build `clipSpeaker`
+     *                (so clips are only reloaded when they change)
+     */
+    this.clipsJSON = '{}'
+
+    /**
+     * @var {object} speechConfig how announcements are spoken
+     *                * `voice`  - name (or URI) of the preferred voice
+     *                * `lang`   - BCP 47 language tag used to pick a
+     *                             voice if the preferred voice is
+     *                             missing
+     *                * `rate`   - 0.1 to 10
+     *                * `pitch`  - 0 to 2
+     *                * `volume` - 0 to 1
+     */
+    this.speechConfig = {
+      voice: this.getGlobal('', 'voice'),
+      lang: this.getGlobal('', 'lang'),
+      rate: this.getGlobal(1, 'rate'),
+      pitch: this.getGlobal(1, 'pitch'),
+      volume: this.getGlobal(1, 'volume')
+    }
+
+    this.play = false
+
+    /**
+     * @var {string} timerState where the timer is at in its life
+     *                cycle. One of:
+     *                  * "unconfigured" - no valid `time` attribute
+     *                  * "ready"        - waiting to start
+     *                  * "running"      - counting down
+     *                  * "paused"       - stopped part way through
+     *                  * "finished"     - reached zero
+     *                  * "overtime"     - reached zero and is
+     *                                     counting how far over
+     *                                     time it is
+     */
+    this.timerState = 'unconfigured'
+
+    /**
+     * @var {boolean} initialised whether or not connectedCallback()
+     *                has been called yet
+     */
+    this.initialised = false
+
+    /**
+     * @var {number|null} startTimeout ID for the timeout used to delay
+     *                starting the timer while the start text is
+     *                being spoken
+     */
+    this.startTimeout = null
+
+    this.closeBtn = null
+    this.closeClick = null
+    this.editBtn = null
+    this.editClick = null
+    this.playPauseBtn = null
+    this.playPauseClick = null
+    this.resetBtn = null
+    this.resetClick = null
+    this.restartBtn = null
+    this.restartClick = null
+    this.stopChimeBtn = null
+    this.stopChimeClick = () => { this.stopChime() }
+    this.volumeWrap = null
+    this.muteBtn = null
+    this.muteClick = () => { this.muted = !this.isMuted }
+    this.volumeSlider = null
+    this.volumeInput = () => { this.volume = Number.parseFloat(this.volumeSlider.value) }
+    this.numbers = null
+    this.progressTicker = null
+    this.h1 = null
+    this.sayDefault = this.getGlobal('1/2 30s last20 last15 allLast10', 'sayDefault')
+    this.sayDefaultCountUp = this.getGlobal('every1m', 'sayDefaultCountUp')
+    this.sayDefaultOvertime = this.getGlobal('every1m', 'sayDefaultOvertime')
+    this.say = ''
+    this.sayIntervals = []
+
+    /**
+     * @var {array} sayErrors tokens from the timer's `say` (and its
+     *                segments' `say`) that couldn't be understood.
+     *                Emptied each time the attributes are parsed
+     */
+    this.sayErrors = []
+    this.workingIntervals = []
+
+    /**
+     * @var {array} cueIntervals when beeps & ticks are played. Each
+     *                has `offset` (milliseconds remaining), `sound`
+     *                ("beep" or "tick") & `raw` (the token that
+     *                produced it)
+     */
+    this.cueIntervals = []
+    this.workingCues = []
+
+    /**
+     * @var {object} cueSounds normalised beep & tick sounds
+     *                (see normaliseChime())
+     */
+    this.cueSounds = {}
+
+    /**
+     * @var {object} cueSay the `beep` & `tick` attributes (keyed by
+     *                sound)
+     */
+    this.cueSay = {}
+
+    /**
+     * @var {array} segments list of segments (each with its own
+     *                label, duration & announcements) when the timer
+     *                runs a sequence (e.g. warm-up, work, rest,
+     *                cool-down)
+     */
+    this.segments = []
+    this.segmentIndex = -1
+    this.segmentLabel = null
+    this.segmentProgress = null
+
+    /**
+     * @var {number} untilTime timestamp (in milliseconds) of the
+     *                wall-clock time the timer counts down to when
+     *                it has an `until` attribute. (Zero otherwise)
+     */
+    this.untilTime = 0
+    this.untilText = null
+
+    /**
+     * @var {string} overtimeSay `say` tokens for the announcements
+     *                made once the timer has gone past zero
+     */
+    this.overtimeSay = ''
+
+    /**
+     * @var {object|null} workingOvertime overtime announcements still
+     *                to come (see newElapsedSchedule())
+     */
+    this.workingOvertime = null
+
+    /**
+     * @var {number} overtimeStart timestamp for when the timer
+     *                reached zero (if it's in overtime)
+     */
+    this.overtimeStart = 0
+
+    /**
+     * @var {HTMLElement} caption shows each spoken message as text
+     */
+    this.caption = null
+    this.wrap = null
+
+    /**
+     * @var {HTMLElement} unlockBtn shown when the browser has blocked
+     *                the timer's sounds (until the user interacts
+     *                with the page)
+     */
+    this.unlockBtn = null
+    this.unlockClick = () => { TalkingTimer.unlockAudio() }
+
+    /**
+     * @var {object} missedSounds sounds that couldn't be played because
+     *                the browser blocked them. Keyed by kind ("speech"
+     *                or "chime"). Each is `{replay, state}` where
+     *                `replay` is a function that plays the sound again
+     *                & `state` is the state the timer was in when the
+     *                sound was missed
+     */
+    this.missedSounds = {}
+
+    /**
+     * @var {object|null} lastSaid `{text, urgency}` of the last thing
+     *                the timer tried to say
+     */
+    this.lastSaid = null
+
+    /**
+     * @var {number} flashTimeout ID of the timeout that ends the
+     *                current flash/pulse effect
+     */
+    this.flashTimeout = null
+
+    this.endText = this.getGlobal('Time\'s up!', 'endText')
+    this.startText = this.getGlobal('Ready. Set. Go!', 'startText')
+
+    this.multipliers = { days: 86400000, hours: 3600000, minutes: 60000, seconds: 1000, tenths: 100 }
+
+    let shadowRoot = this.attachShadow({ mode: 'open' })
+    shadowRoot.appendChild(this.getDOM())
+  }
+
+  static get observedAttributes () {
+    return [
+      'autoreset',
+      'beep',
+      'chime',
+      'clips',
+      'end-message',
+      'flash',
+      'lang',
+      'limit',
+      'mode',
+      'muted',
+      'nocaptions',
+      'noclosebtn',
+      'noedit',
+      'noendchime',
+      'nopause',
+      'noreconfigure',
+      'noreset',
+      'norestart',
+      'nosayend',
+      'novolume',
+      'overtime',
+      'persist',
+      'pitch',
+      'priority',
+      'rate',
+      'say',
+      'saystart',
+      'segments',
+      'selfdestruct',
+      'speaker',
+      'start-message',
+      'tick',
+      'time',
+      'until',
+      'vibrate',
+      'voice',
+      'volume'
+    ]
+  }
+
+  /**
+   * getVoices() lists the voices available for speaking
+   * announcements (e.g. for a settings page)
+   *
+   * Some browsers load their voices asynchronously so this waits
+   * until they're available.
+   *
+   * @param {string} lang (optional) only list voices for this
+   *                 language (e.g. "en" or "en-AU")
+   *
+   * @returns {Promise} resolves to an array of
+   *                 SpeechSynthesisVoice objects
+   */
+  static getVoices (lang) {
+    return TalkingTimer.loadVoices().then(voices => {
+      if (typeof lang !== 'string' || lang === '') {
+        return voices
+      }
+      const _lang = lang.toLowerCase().replace('_', '-')
+      return voices.filter(voice => {
+        const voiceLang = voice.lang.toLowerCase().replace('_', '-')
+        return (voiceLang === _lang || voiceLang.split('-')[0] === _lang)
+      })
+    })
+  }
+
+  /**
+   * getSchedule() lists the announcements a `say` string produces
+   * for a given duration (in the page's language) without needing a
+   * timer. See TalkingTimer.prototype.getSchedule()
+   *
+   * @param {string} say `say` string to be parsed
+   * @param {number|string} duration number of milliseconds or any
+   *                 duration accepted by the `time` attribute
+   * @param {object} options (optional) `mode`, `openEnded`,
+   *                 `priority` & `lang`
+   *
+   * @returns {array} list of `{offset, message, raw}` objects
+   */
+  static getSchedule (say, duration, options) {
+    const timer = document.createElement('talking-timer')
+
+    timer.applyLocale()
+
+    return timer.getSchedule(say, duration, options)
+  }
+
+  /**
+   * registerSpeaker() adds (or replaces) a named speaker that timers
+   * can use via their `speaker` attribute
+   * (e.g. `<talking-timer speaker="console">`)
+   *
+   * "webspeech" & "console" are already registered
+   *
+   * @param {string} name name used to refer to the speaker
+   * @param {object} speaker object with `speak(text, options)` &
+   *                 `cancel()` methods (see
+   *                 TalkingTimerWebSpeechSpeaker)
+   *
+   * @returns {void}
+   */
+  static registerSpeaker (name, speaker) {
+    if (typeof speaker !== 'object' || speaker === null || typeof speaker.speak !== 'function' || typeof speaker.cancel !== 'function') {
+      console.error('talking-timer speaker "' + name + '" must have `speak()` & `cancel()` methods')
+      return
+    }
+    TalkingTimer.speakers[name] = speaker
+  }
+
+  /**
+   * setDefaultSpeaker() sets the speaker used by all timers that
+   * don't have their own
+   *
+   * @param {string|object} speaker name of a registered speaker or a
+   *                 speaker object
+   *
+   * @returns {void}
+   */
+  static setDefaultSpeaker (speaker) {
+    if (typeof speaker === 'string') {
+      TalkingTimer.defaultSpeakerName = speaker
+    } else {
+      TalkingTimer.registerSpeaker('default', speaker)
+      TalkingTimer.defaultSpeakerName = 'default'
+    }
+  }
+
+  /**
+   * getDefaultSpeaker() gets the speaker used by timers that don't
+   * have their own
+   *
+   * @returns {object}
+   */
+  static getDefaultSpeaker () {
+    const speakers = TalkingTimer.speakers
+    let name = TalkingTimer.defaultSpeakerName
+
+    if (typeof name !== 'string') {
+      name = (typeof talkingTimerExternalDefaults !== 'undefined' && typeof talkingTimerExternalDefaults.speaker === 'string') ? talkingTimerExternalDefaults.speaker : 'webspeech'
+    }
+
+    return (typeof speakers[name] === 'object') ? speakers[name] : speakers.webspeech
+  }
+
+  /**
+   * @returns {object} the speaker classes that come with
+   *                talking-timer (for building your own speakers)
+   */
+  static get speakerClasses () {
+    return {
+      webspeech: TalkingTimerWebSpeechSpeaker,
+      clip: TalkingTimerAudioClipSpeaker,
+      console: TalkingTimerConsoleSpeaker,
+      recording: TalkingTimerRecordingSpeaker
+    }
+  }
+
+  /**
+   * @returns {object} all the registered speakers keyed by name
+   */
+  static get speakers () {
+    if (typeof TalkingTimer.speakerRegistry === 'undefined') {
+      TalkingTimer.speakerRegistry = {
+        webspeech: new TalkingTimerWebSpeechSpeaker(),
+        console: new TalkingTimerConsoleSpeaker()
+      }
+    }
+    return TalkingTimer.speakerRegistry
+  }
+
+  /**
+   * registerLocale() adds (or replaces) a locale pack used to build
+   * spoken messages for timers whose language matches `lang`
+   *
+   * A locale pack is an object with any of the following properties
+   * (anything missing comes from the English pack):
+   *
+   * {
+   *   units: {
+   *     day: [singular, plural],
+   *     hour: [singular, plural],
+   *     minute: [singular, plural],
+   *     second: [singular, plural]
+   *   },
+   *   plural: function (count) returns 0 (singular) or 1 (plural),
+   *   separator: string between parts of a time (e.g. ", "),
+   *   lastSeparator: string before the last part of a time
+   *              (e.g. " and "),
+   *   fractions: { [denominator]: [singular, plural] },
+   *   ordinal: function (denominator) returns [singular, plural]
+   *              for fractions without a name in `fractions`,
+   *   suffixes: {
+   *     first: string|[singular, plural] (e.g. " gone."),
+   *     last: string|[singular, plural] (e.g. " to go."),
+   *     half: string (e.g. "Half way."),
+   *     over: string|[singular, plural] (e.g. " over.")
+   *   },
+   *   startText: string,
+   *   endText: string
+   * }
+   *
+   * Suffixes are added after the time unless they contain
+   * "{time}", in which case the time replaces "{time}"
+   * (e.g. "Il reste {time}.")
+   *
+   * @param {string} lang BCP 47 language tag (e.g. "fr" or "fr-CA")
+   * @param {object} pack locale pack
+   *
+   * @returns {void}
+   */
+  static registerLocale (lang, pack) {
+    const english = TalkingTimer.locales.en || TalkingTimer.defaultLocales.en
+    const _pack = (typeof pack === 'object' && pack !== null) ? pack : {}
+
+    TalkingTimer.locales[lang.toLowerCase().replace('_', '-')] = {
+      ...english,
+      ..._pack,
+      lang: lang,
+      units: { ...english.units, ..._pack.units },
+      fractions: { ...english.fractions, ..._pack.fractions },
+      suffixes: { ...english.suffixes, ..._pack.suffixes }
+    }
+  }
+
+  /**
+   * getLocale() gets the locale pack that best matches the language
+   * supplied (exact match, then base language, then English)
+   *
+   * @param {string} lang BCP 47 language tag (e.g. "fr-CA")
+   *
+   * @returns {object} locale pack
+   */
+  static getLocale (lang) {
+    const locales = TalkingTimer.locales
+    const _lang = (typeof lang === 'string') ? lang.toLowerCase().replace('_', '-') : 'en'
+    const base = _lang.split('-')[0]
+
+    if (typeof locales[_lang] === 'object') {
+      return locales[_lang]
+    }
+    return (typeof locales[base] === 'object') ? locales[base] : locales.en
+  }
+
+  /**
+   * @returns {object} all the registered locale packs keyed by
+   *                (lower case) language
+   */
+  static get locales () {
+    if (typeof TalkingTimer.localePacks === 'undefined') {
+      const defaults = TalkingTimer.defaultLocales
+      const external = (typeof talkingTimerExternalDefaults !== 'undefined' && typeof talkingTimerExternalDefaults.locales === 'object') ? talkingTimerExternalDefaults.locales : {}
+
+      TalkingTimer.localePacks = { en: defaults.en }
+      Object.keys(defaults).concat(Object.keys(external)).forEach(lang => {
+        TalkingTimer.registerLocale(lang, (typeof external[lang] === 'object') ? external[lang] : defaults[lang])
+      })
+    }
+    return TalkingTimer.localePacks
+  }
+
+  /**
+   * @returns {object} the locale packs that come with talking-timer
+   *                (English, French & Spanish)
+   */
+  static get defaultLocales () {
+    return {
+      en: {
+        lang: 'en',
+        units: {
+          day: ['day', 'days'],
+          hour: ['hour', 'hours'],
+          minute: ['minute', 'minutes'],
+          second: ['second', 'seconds']
+        },
+        plural: (count) => (count === 1) ? 0 : 1,
+        separator: ', ',
+        lastSeparator: ', ',
+        fractions: {
+          3: ['third', 'thirds'],
+          4: ['quarter', 'quarters'],
+          5: ['fifth', 'fifths'],
+          6: ['sixth', 'sixths'],
+          7: ['seventh', 'sevenths'],
+          8: ['eighth', 'eighths'],
+          9: ['ninth', 'ninths'],
+          10: ['tenth', 'tenths']
+        },
+        ordinal: (denominator) => {
+          const tens = denominator % 100
+          const ones = denominator % 10
+          const suffix = (tens > 10 && tens < 14) ? 'th' : (ones === 1) ? 'st' : (ones === 2) ? 'nd' : (ones === 3) ? 'rd' : 'th'
+          return [denominator + suffix, denominator + suffix + 's']
+        },
+        suffixes: {
+          first: ' gone.',
+          last: ' to go.',
+          half: 'Half way.',
+          over: ' over.'
+        },
+        startText: 'Ready. Set. Go!',
+        endText: 'Time\'s up!'
+      },
+      fr: {
+        units: {
+          day: ['jour', 'jours'],
+          hour: ['heure', 'heures'],
+          minute: ['minute', 'minutes'],
+          second: ['seconde', 'secondes']
+        },
+        plural: (count) => (count < 2) ? 0 : 1,
+        separator: ', ',
+        lastSeparator: ' et ',
+        fractions: {
+          3: ['tiers', 'tiers'],
+          4: ['quart', 'quarts'],
+          5: ['cinquième', 'cinquièmes'],
+          6: ['sixième', 'sixièmes'],
+          7: ['septième', 'septièmes'],
+          8: ['huitième', 'huitièmes'],
+          9: ['neuvième', 'neuvièmes'],
+          10: ['dixième', 'dixièmes']
+        },
+        ordinal: (denominator) => [denominator + 'e', denominator + 'es'],
+        suffixes: {
+          first: 'Temps écoulé : {time}.',
+          last: 'Il reste {time}.',
+          half: 'À mi-parcours.',
+          over: 'Dépassement : {time}.'
+        },
+        startText: 'À vos marques. Prêts. Partez !',
+        endText: 'Temps écoulé !'
+      },
+      es: {
+        units: {
+          day: ['día', 'días'],
+          hour: ['hora', 'horas'],
+          minute: ['minuto', 'minutos'],
+          second: ['segundo', 'segundos']
+        },
+        plural: (count) => (count === 1) ? 0 : 1,
+        separator: ', ',
+        lastSeparator: ' y ',
+        fractions: {
+          3: ['tercio', 'tercios'],
+          4: ['cuarto', 'cuartos'],
+          5: ['quinto', 'quintos'],
+          6: ['sexto', 'sextos'],
+          7: ['séptimo', 'séptimos'],
+          8: ['octavo', 'octavos'],
+          9: ['noveno', 'novenos'],
+          10: ['décimo', 'décimos']
+        },
+        ordinal: (denominator) => [denominator + 'avo', denominator + 'avos'],
+        suffixes: {
+          first: ['Ha pasado {time}.', 'Han pasado {time}.'],
+          last: ['Queda {time}.', 'Quedan {time}.'],
+          half: 'Mitad del tiempo.',
+          over: ['Te has pasado {time}.', 'Te has pasado {time}.']
+        },
+        startText: 'Preparados. Listos. ¡Ya!',
+        endText: '¡Se acabó el tiempo!'
+      }
+    }
+  }
+
+  /**
+   * @returns {number} number of milliseconds of announcements worked
+   *                out at a time for things that have no end (a
+   *                stopwatch without a `limit` or overtime). Also how
+   *                much of a stopwatch without a `limit` is listed
+   *                by getSchedule()
+   */
+  static get elapsedWindow () { return 3600000 }
+
+  /**
+   * getAudioContext() gets the AudioContext shared by all timers
+   * (creating it if needed)
+   *
+   * @returns {AudioContext|null} NULL if the browser doesn't support
+   *                the Web Audio API
+   */
+  static getAudioContext () {
+    if (typeof TalkingTimer.audioContext !== 'object' || TalkingTimer.audioContext === null) {
+      if (typeof AudioContext === 'undefined') {
+        return null
+      }
+      TalkingTimer.audioContext = new AudioContext()
+    }
+
+    if (TalkingTimer.audioContext.state === 'suspended') {
+      TalkingTimer.audioContext.resume().catch(() => {})
+    }
+
+    return TalkingTimer.audioContext
+  }
+
+  /**
+   * releaseAudioContext() stops a timer using the shared
+   * AudioContext. Once no timers are using it, it is closed.
+   *
+   * @param {TalkingTimer} timer
+   *
+   * @returns {void}
+   */
+  static releaseAudioContext (timer) {
+    const users = TalkingTimer.audioUsers
+
+    users.delete(timer)
+
+    if (users.size === 0 && typeof TalkingTimer.audioContext === 'object' && TalkingTimer.audioContext !== null) {
+      TalkingTimer.audioContext.close().catch(() => {})
+      TalkingTimer.audioContext = null
+    }
+  }
+
+  /**
+   * unlockAudio() lets the browser play sound then plays the sounds
+   * that were blocked. Must be called while handling a user gesture
+   * (e.g. a click or key press)
+   *
+   * @returns {void}
+   */
+  static unlockAudio () {
+    const timers = Array.from(TalkingTimer.blockedTimers)
+
+    TalkingTimer.blockedTimers.clear()
+    TalkingTimer.stopWatchingForGesture()
+
+    if (typeof TalkingTimer.audioContext === 'object' && TalkingTimer.audioContext !== null) {
+      TalkingTimer.getAudioContext()
+    }
+
+    // Let whatever the gesture was for (e.g. a timer's reset button)
+    // happen first
+    window.setTimeout(() => {
+      for (let a = 0; a < timers.length; a += 1) {
+        timers[a].audioUnlocked()
+      }
+    }, 0)
+  }
+
+  /**
+   * watchForGesture() unlocks sound as soon as the user interacts
+   * with the page (anywhere) while any timer's sounds are blocked
+   *
+   * Listens for clicks & key ups (rather than pointer & key downs) so
+   * that, if the user clicked one of a timer's own buttons (e.g.
+   * reset), the button has done its job before missed sounds are
+   * played again
+   *
+   * @returns {void}
+   */
+  static watchForGesture () {
+    if (typeof TalkingTimer.gestureHandler === 'function') {
+      return
+    }
+
+    TalkingTimer.gestureHandler = () => { TalkingTimer.unlockAudio() }
+    document.addEventListener('click', TalkingTimer.gestureHandler, true)
+    document.addEventListener('keyup', TalkingTimer.gestureHandler, true)
+  }
+
+  /**
+   * stopWatchingForGesture() stops listening for the user
+   * interacting with the page
+   *
+   * @returns {void}
+   */
+  static stopWatchingForGesture () {
+    if (typeof TalkingTimer.gestureHandler !== 'function') {
+      return
+    }
+
+    document.removeEventListener('click', TalkingTimer.gestureHandler, true)
+    document.removeEventListener('keyup', TalkingTimer.gestureHandler, true)
+    TalkingTimer.gestureHandler = null
+  }
+
+  /**
+   * @returns {Set} timers whose sounds have been blocked by the browser
+   */
+  static get blockedTimers () {
+    if (typeof TalkingTimer.blockedTimerSet === 'undefined') {
+      TalkingTimer.blockedTimerSet = new Set()
+    }
+    return TalkingTimer.blockedTimerSet
+  }
+
+  /**
+   * @returns {Set} timers that have used the shared AudioContext
+   */
+  static get audioUsers () {
+    if (typeof TalkingTimer.audioUserSet === 'undefined') {
+      TalkingTimer.audioUserSet = new Set()
+    }
+    return TalkingTimer.audioUserSet
+  }
+
+  /**
+   * registerChime() adds (or replaces) a named end chime that timers
+   * can use via their `chime` attribute (e.g. `<talking-timer
+   * chime="school">`)
+   *
+   * A chime can be:
+   * * a list of tones all the same length:
+   *   `{ tones: [440, 523.3], duration: 0.75, interval: 0.425, type: 'sine' }`
+   *   (`duration` = seconds each tone sounds for, `interval` =
+   *   seconds between tones starting, `type` = OscillatorNode type)
+   * * a sequence of notes played one after the other:
+   *   `{ notes: [[440, 0.3], [0, 0.1], [660, 0.6]], type: 'sine' }`
+   *   (`[frequency, seconds]` - a frequency of 0 is a rest)
+   * * an audio file: `{ name: 'School bell', url: 'audio/bell.mp3' }`
+   *
+   * @param {string} name name used to refer to the chime
+   * @param {object} chime
+   *
+   * @returns {void}
+   */
+  static registerChime (name, chime) {
+    if (typeof chime !== 'object' || chime === null || (!Array.isArray(chime.tones) && !Array.isArray(chime.notes) && typeof chime.url !== 'string')) {
+      console.error('talking-timer chime "' + name + '" must have `tones`, `notes` or `url`')
+      return
+    }
+    TalkingTimer.chimes[name.toLowerCase()] = chime
+  }
+
+  /**
+   * @returns {object} all the registered chimes keyed by (lower case)
+   *                name
+   */
+  static get chimes () {
+    if (typeof TalkingTimer.chimeRegistry === 'undefined') {
+      const external = (typeof talkingTimerExternalDefaults !== 'undefined' && typeof talkingTimerExternalDefaults.chimes === 'object') ? talkingTimerExternalDefaults.chimes : {}
+
+      TalkingTimer.chimeRegistry = { ...TalkingTimer.defaultChimes }
+      Object.keys(external).forEach(name => {
+        TalkingTimer.registerChime(name, external[name])
+      })
+    }
+    return TalkingTimer.chimeRegistry
+  }
+
+  /**
+   * @returns {object} the sounds used for `beep` & `tick` cues (in the
+   *                same format as chimes, plus `volume` between 0
+   *                & 1)
+   */
+  static get defaultCueSounds () {
+    return {
+      beep: {
+        tones: [880],
+        duration: 0.15,
+        type: 'sine',
+        volume: 0.6
+      },
+      tick: {
+        tones: [1800],
+        duration: 0.03,
+        type: 'square',
+        volume: 0.15
+      }
+    }
+  }
+
+  /**
+   * @returns {object} the chimes that come with talking-timer
+   */
+  static get defaultChimes () {
+    return {
+      // The original talking-timer chime
+      classic: {
+        tones: [440, 261.6, 830.6, 440, 261.6, 830.6, 392, 440, 261.6, 830.6, 440, 261.6, 830.6, 392, 440],
+        duration: 0.75,
+        interval: 0.425,
+        type: 'sine'
+      },
+      bell: {
+        tones: [659.3, 659.3, 659.3],
+        duration: 2,
+        interval: 1.2,
+        type: 'sine'
+      },
+      beeps: {
+        tones: [1000, 1000, 1000],
+        duration: 0.15,
+        interval: 0.35,
+        type: 'square'
+      },
+      gentle: {
+        tones: [523.3, 659.3, 784],
+        duration: 1.5,
+        interval: 0.6,
+        type: 'triangle'
+      },
+      alarm: {
+        tones: [880, 660, 880, 660, 880, 660, 880, 660, 880, 660],
+        duration: 0.22,
+        interval: 0.25,
+        type: 'sawtooth'
+      }
+    }
+  }
+
+  /**
+   * loadVoices() waits for the browser's voices to be available
+   *
+   * @returns {Promise} resolves to an array of
+   *                 SpeechSynthesisVoice objects
+   */
+  static loadVoices () {
+    return new Promise(resolve => {
+      if (typeof speechSynthesis === 'undefined') {
+        resolve([])
+        return
+      }
+
+      const voices = speechSynthesis.getVoices()
+      if (voices.length > 0) {
+        resolve(voices)
+        return
+      }
+
+      const loaded = () => {
+        speechSynthesis.removeEventListener('voiceschanged', loaded)
+        resolve(speechSynthesis.getVoices())
+      }
+      speechSynthesis.addEventListener('voiceschanged', loaded)
+
+      // Some browsers never fire `voiceschanged`
+      window.setTimeout(loaded, 2000)
+    })
+  }
+
+  // ======================================================
+  // START: standard custom element callbacks
+
+  connectedCallback () {
+    this.initialised = true
+    if (this.audioLevel === null) {
+      this.audioLevel = this.loadAudioLevel()
+    }
+    this.parseAttributes()
+
+    if (this.initialMilliseconds > 10000 || this.isOpenEnded()) {
+      this.playPauseClick = this.getPlayPauseClick()
+      this.playPauseBtn.addEventListener('click', this.playPauseClick)
+
+      this.resetClick = this.getResetClick()
+      this.resetBtn.addEventListener('click', this.resetClick)
+
+      this.restartClick = this.getRestartClick()
+      this.restartBtn.addEventListener('click', this.restartClick)
+
+      this.closeClick = this.getCloseClick()
+      this.closeBtn.addEventListener('click', this.closeClick)
+
+      this.stopChimeBtn.addEventListener('click', this.stopChimeClick)
+      this.muteBtn.addEventListener('click', this.muteClick)
+      this.volumeSlider.addEventListener('input', this.volumeInput)
+      this.unlockBtn.addEventListener('click', this.unlockClick)
+
+      this.setTimeText()
+      this.resetTimerValues()
+
+      this.inProgress = false
+      this.timerState = 'ready'
+      this.setBtnVisibility()
+      this.restoreState()
+    }
+  }
+
+  disconnectedCallback () {
+    this.removeListeners()
+
+    // Don't leave anything making a noise (or holding on to audio
+    // resources) once the timer has gone
+    this.stopChime()
+    TalkingTimer.releaseAudioContext(this)
+  }
+
+  /**
+   * removeListeners() stops the timer responding to its buttons &
+   * volume slider and to the user interacting with the page (see
+   * watchForGesture())
+   *
+   * @returns {void}
+   */
+  removeListeners () {
+    this.playPauseBtn.removeEventListener('click', this.playPauseClick)
+    this.closeBtn.removeEventListener('click', this.closeClick)
+    this.resetBtn.removeEventListener('click', this.resetClick)
+    this.restartBtn.removeEventListener('click', this.restartClick)
+    this.stopChimeBtn.removeEventListener('click', this.stopChimeClick)
+    this.muteBtn.removeEventListener('click', this.muteClick)
+    this.volumeSlider.removeEventListener('input', this.volumeInput)
+    this.unlockBtn.removeEventListener('click', this.unlockClick)
+    if (this.config.noEdit === false && this.editBtn !== null) {
+      this.editBtn.removeEventListener('click', this.editClick)
+    }
+    TalkingTimer.blockedTimers.delete(this)
+  }
+
+  /**
+   * attributeChangedCallback() reconfigures the timer when one of
+   * its attributes is changed after the element has been added to
+   * the page.
+   *
+   * @param {string} name name of the attribute that changed
+   * @param {string|null} oldValue the attribute's previous value
+   * @param {string|null} newValue the attribute's new value
+   *
+   * @returns {void}
+   */
+  attributeChangedCallback (name, oldValue, newValue) {
+    if (oldValue === newValue || this.initialised === false || this.isConnected === false) {
+      // Either nothing changed or connectedCallback() hasn't been
+      // called yet (in which case it will look after everything)
+      return
+    }
+
+    if (name === 'volume' || name === 'muted') {
+      // The page is asking for a new level so it replaces whatever
+      // was set with the volume controls
+      this.audioLevel = null
+    }
+
+    if (this.timerState === 'unconfigured') {
+      // The timer never had a valid time so it was never set up.
+      // Have another go now.
+      this.connectedCallback()
+    } else {
+      this.reconfigure()
+    }
+  }
+
+  //  END:  standard custom element callbacks
+  // ======================================================
+  // START: getters & setters
+
+  // get time () { return this.timeObjToString(this.initialValue) }
+
+  // set time (hoursMinutesSeconds) {
+  //   this.validateTimeDuration(hoursMinutesSeconds)
+  // }
+
+  get playing () { return this.play }
+
+  /**
+   * isOpenEnded() checks whether the timer is a stopwatch without a
+   * `limit` (i.e. it never finishes)
+   *
+   * @returns {boolean}
+   */
+  isOpenEnded () {
+    return (this.config.mode === 'countup' && this.config.hasLimit === false)
+  }
+
+  /**
+   * @returns {number} volume (between 0 & 1) of all the timer's sounds
+   */
+  get volume () { return this.speechConfig.volume }
+
+  set volume (val) {
+    this.setAudioLevel(val, this.isMuted)
+  }
+
+  /**
+   * @returns {boolean} whether all the timer's sounds are silenced
+   */
+  get muted () { return this.isMuted }
+
+  set muted (val) {
+    this.setAudioLevel(this.speechConfig.volume, (val === true))
+  }
+
+  set playing (val) {
+    if (val) {
+      this.start()
+    } else {
+      this.pause()
+    }
+  }
+
+  /**
+   * @returns {number|null} number of milliseconds left before the
+   *                timer finishes (NULL for a stopwatch without a
+   *                `limit` because it never finishes)
+   */
+  get remaining () {
+    if (this.isOpenEnded()) {
+      return null
+    }
+    if (this.play === true && this.endTime !== 0) {
+      const remaining = this.endTime - Date.now()
+      return (remaining > 0) ? remaining : 0
+    }
+    return this.remainingMilliseconds
+  }
+
+  /**
+   * @returns {number} number of milliseconds the timer has been
+   *                running for (excluding time spent paused)
+   */
+  get elapsed () {
+    if (this.isOpenEnded()) {
+      return (this.startTime !== 0) ? Date.now() - this.startTime : this.elapsedMilliseconds
+    }
+    return this.initialMilliseconds - this.remaining
+  }
+
+  /**
+   * @returns {number} number of milliseconds the timer has been
+   *                running past zero (zero if it's not in overtime)
+   */
+  get overtime () {
+    return (this.timerState === 'overtime') ? Date.now() - this.overtimeStart : 0
+  }
+
+  /**
+   * @returns {boolean} TRUE if the timer is currently saying something
+   */
+  get speaking () { return this.getSpeechQueue().isSpeaking(this) }
+
+  /**
+   * @returns {object} the speaker used to say the timer's
+   *                announcements
+   */
+  get speaker () { return this.getSpeaker() }
+
+  /**
+   * @param {object|null} speaker speaker to be used by just this
+   *                timer (NULL = go back to the default)
+   */
+  set speaker (speaker) {
+    if (speaker !== null && (typeof speaker !== 'object' || typeof speaker.speak !== 'function' || typeof speaker.cancel !== 'function')) {
+      console.error('talking-timer speaker must have `speak()` & `cancel()` methods')
+      return
+    }
+    this.cancelSpeech()
+    this.elementSpeaker = speaker
+  }
+
+  /**
+   * @returns {number|null} total number of milliseconds the timer
+   *                runs for (NULL for a stopwatch without a `limit`)
+   */
+  get duration () { return (this.isOpenEnded()) ? null : this.initialMilliseconds }
+
+  /**
+   * @returns {string} "unconfigured", "ready", "running", "paused",
+   *                "finished" or "overtime"
+   */
+  get state () { return this.timerState }
+
+  //  END:  getters & setters
+  // ======================================================
+  // START: public API
+
+  /**
+   * start() starts the timer running. If the timer has already
+   * finished, it is reset and started again from the beginning.
+   *
+   * @returns {boolean} TRUE if the timer was started.
+   *                FALSE if it was already running (or can't run)
+   */
+  start () {
+    switch (this.timerState) {
+      case 'finished':
+        // Same as restart() so the last run's end chime (and any
+        // missed sounds) don't carry over into the new run
+        return this.restart()
+      case 'ready':
+      case 'paused':
+        this.startPlaying()
+        return true
+      default:
+        return false
+    }
+  }
+
+  /**
+   * pause() suspends a running timer
+   *
+   * @returns {boolean} TRUE if the timer was paused.
+   *                FALSE if it wasn't running
+   */
+  pause () {
+    if (this.timerState !== 'running') {
+      return false
+    }
+    this.pausePlaying()
+    this.cancelSpeech()
+    this.dispatch('pause')
+    return true
+  }
+
+  /**
+   * resume() continues a paused timer from where it was paused
+   *
+   * @returns {boolean} TRUE if the timer was resumed.
+   *                FALSE if it wasn't paused
+   */
+  resume () {
+    if (this.timerState !== 'paused') {
+      return false
+    }
+    this.startPlaying()
+    return true
+  }
+
+  /**
+   * reset() stops the timer and gets it ready to start from the
+   * beginning
+   *
+   * @returns {boolean} TRUE if the timer was reset.
+   *                FALSE if it has no valid time to reset to
+   */
+  reset () {
+    if (this.timerState === 'unconfigured') {
+      return false
+    }
+    this.cancelSpeech()
+    // The end chime (and sounds missed before the reset) don't
+    // belong to the new run. (restart() comes through here too)
+    this.stopChime()
+    this.missedSounds = {}
+    this.resetPlaying()
+    return true
+  }
+
+  /**
+   * restart() resets the timer and starts it running again
+   *
+   * @returns {boolean} TRUE if the timer was restarted.
+   *                FALSE if it has no valid time to restart with
+   */
+  restart () {
+    if (this.reset() === false) {
+      return false
+    }
+    this.startPlaying()
+    return true
+  }
+
+  /**
+   * close() stops the timer, removes all event listeners then
+   * removes the custom element from the DOM
+   *
+   * @returns {void}
+   */
+  close () {
+    if (this.startTimeout !== null) {
+      window.clearTimeout(this.startTimeout)
+      this.startTimeout = null
+    }
+    if (this.progressTicker !== null) {
+      window.clearInterval(this.progressTicker)
+    }
+
+    this.removeListeners()
+    this.play = false
+    this.timerState = 'unconfigured'
+    this.cancelSpeech()
+    this.stopChime()
+    this.missedSounds = {}
+    this.saveState()
+    this.dispatch('close')
+    this.remove()
+  }
+
+  //  END:  public API
+  // ======================================================
+  // START: click handlers
+
+  /**
+   * startPlaying() does all the stuff required to start a timer
+   * running
+   */
+  startPlaying () {
+    const isFirstStart = (this.timerState === 'ready')
+
+    if (isFirstStart === true && this.untilTime !== 0) {
+      // Work out the duration (and say intervals) again from now.
+      // (The page may have been open for a while since the timer
+      // was set up)
+      if (this.parseAttributes() === false) {
+        return
+      }
+      this.resetTimerValues()
+    }
+
+    this.timerState = 'running'
+    this.dispatch((isFirstStart === true) ? 'start' : 'resume')
+
+    if (isFirstStart === true && this.config.sayStart === true) {
+      const clip = this.getClipDuration(this.startText)
+
+      this.saySomething(this.startText, 2)
+      this.startTimeout = window.setTimeout(this.startPlayingInner, (clip >= 0) ? clip : this.preSpeakStart, this)
+    } else {
+      this.startPlayingInner(this)
+    }
+  }
+
+  /**
+   * startPlayingInner() does all the heavy lifting required
+   * by startPlaying()
+   *
+   * @param {this} obj the "this" context for the class
+   *               (needed because startPlayingInner() may be called
+   *               inside a setTimeout in which case, it will loose
+   *               the appropriate "this" context)
+   *
+   * @returns {void}
+   */
+  startPlayingInner (obj) {
+    obj.startTimeout = null
+    obj.setBtnVisibility()
+    obj.setProgressTicker(obj.intervalTime)
+    obj.playPauseBtn.classList.add('playing')
+    obj.playPauseTxt.innerHTML = 'Pause '
+    obj.playPauseIcon.innerHTML = '&Verbar;'
+    obj.play = true
+    obj.saveState()
+  }
+
+  /**
+   * pausePlaying() suspends the timer and updates the HTML to show
+   * timer is stopped
+   *
+   * @returns {void}
+   */
+  pausePlaying () {
+    if (this.startTimeout !== null) {
+      window.clearTimeout(this.startTimeout)
+      this.startTimeout = null
+    }
+
+    if (this.endTime !== 0) {
+      // Remember how much time was left so we can pick up from
+      // here when the timer is resumed
+      const remaining = this.endTime - Date.now()
+      this.remainingMilliseconds = (remaining > 0) ? remaining : 0
+      this.endTime = 0
+    }
+    if (this.startTime !== 0) {
+      this.elapsedMilliseconds = Date.now() - this.startTime
+      this.startTime = 0
+    }
+
+    this.clearTimerInterval()
+    this.playPauseBtn.classList.remove('playing')
+    this.playPauseTxt.innerHTML = 'Play '
+    this.playPauseIcon.innerHTML = '&bigtriangledown;'
+    this.play = false
+    if (this.isOpenEnded()) {
+      this.timerState = (this.elapsedMilliseconds > 0) ? 'paused' : 'ready'
+    } else {
+      this.timerState = (this.remainingMilliseconds < this.initialMilliseconds) ? 'paused' : 'ready'
+    }
+    this.saveState()
+  }
+
+  /**
+   * resetPlaying() stops the timer and updates the HTML to show the
+   * timer is ready to start from the beginning
+   *
+   * @returns {void}
+   */
+  resetPlaying () {
+    this.pausePlaying()
+    if (this.untilTime !== 0) {
+      // Work out the duration (and say intervals) again from now
+      this.parseAttributes()
+    }
+    this.resetTimerValues()
+
+    this.numbers.innerHTML = this.timeObjToString(this.currentValue)
+    this.progress.value = (0)
+    this.playPauseTxt.innerHTML = 'Start '
+
+    this.numbers.classList.remove('finished', 'overtime')
+    this.playPauseBtn.classList.remove('finished')
+    this.overtimeStart = 0
+    this.setCaption('')
+    window.clearTimeout(this.flashTimeout)
+    this.wrap.classList.remove('flash-interval', 'flash-end')
+    this.vibrate('')
+
+    this.timerState = 'ready'
+    this.setBtnVisibility()
+    this.saveState()
+    this.dispatch('reset')
+  }
+
+  /**
+   * endPlaying() does all the stuff needed to show the
+   * timer has ended
+   *
+   * removes the interval used by the timer, updates the
+   * HTML and makes sounds
+   *
+   * @returns {void}
+   */
+  endPlaying () {
+    let delay = 0
+    if (this.config.noSayEnd === false) {
+      const clip = this.getClipDuration(this.endText)
+
+      this.saySomething(this.endText, 3)
+      delay = (clip >= 0) ? clip : this.preSpeakEnd
+    }
+    this.flash('end')
+    this.vibrate('end')
+    if (this.config.noEndChime === false) {
+      this.chimeTimeout = window.setTimeout(() => {
+        this.chimeTimeout = null
+        this.endSound()
+      }, delay)
+      delay += this.getChimeLength()
+    }
+    this.endSoundsUntil = Date.now() + delay
+
+    this.playPauseBtn.classList.add('finished')
+
+    this.clearTimerInterval()
+    const overtimeStart = (this.endTime !== 0) ? this.endTime : Date.now()
+    this.endTime = 0
+    this.play = false
+    this.timerState = 'finished'
+
+    if (this.config.overtime === true && this.config.hasLimit === true) {
+      // Keep counting until someone resets or closes the timer
+      this.dispatch('end')
+      this.startOvertime(overtimeStart)
+      return
+    }
+
+    this.numbers.classList.add('finished')
+    this.saveState()
+    this.dispatch('end')
+
+    if (this.config.autoDestruct !== -1) {
+      const timeout = (this.config.autoDestruct < delay) ? delay : this.config.autoDestruct
+      // This timer is going to self destruct.
+      // Don't bother doing anything more
+      window.setTimeout((obj) => { obj.remove() }, timeout, this)
+    } else if (this.config.autoReset === true) {
+      this.resetPlaying()
+    } else {
+      this.setBtnVisibility()
+    }
+  }
+
+  /**
+   * startOvertime() gets the timer counting past zero
+   *
+   * @param {number} since timestamp for when the timer reached zero
+   *
+   * @returns {void}
+   */
+  startOvertime (since) {
+    const over = Date.now() - since
+
+    this.overtimeStart = since
+    // Skip anything that should have been said already
+    this.workingOvertime = this.newOvertimeSchedule()
+    this.skipElapsed(this.workingOvertime, over)
+    this.timerState = 'overtime'
+    this.numbers.classList.remove('finished')
+    this.numbers.classList.add('overtime')
+    this.progress.value = 1
+    this.setBtnVisibility()
+    this.setOvertimeText(over)
+    this.setOvertimeTicker(this.intervalTime * 10)
+    this.saveState()
+    this.dispatch('overtime', { overtime: over })
+  }
+
+  /**
+   * reconfigure() re-parses the element's attributes after one of
+   * them has been changed.
+   *
+   * If the timer has already started, it keeps the time already
+   * elapsed and only keeps the intervals that are still to come.
+   *
+   * @returns {void}
+   */
+  reconfigure () {
+    const state = this.timerState
+    const elapsed = this.elapsed
+    const ticking = (this.progressTicker !== null)
+
+    if (this.parseAttributes() === false) {
+      return
+    }
+
+    // Make sure the working intervals are built from the newly
+    // parsed `say` attribute
+    this.resetTimerValues()
+
+    if ((state === 'running' || state === 'paused') && this.isOpenEnded()) {
+      // Stopwatches without a `limit` carry on from where they were
+      this.elapsedMilliseconds = elapsed
+      this.skipElapsedAll(elapsed)
+      this.currentValue = this.millisecondsToTimeObj(elapsed)
+      this.setTimeText()
+
+      if (ticking === true) {
+        this.setProgressTicker(this.intervalTime)
+      }
+    } else if (state === 'running' || state === 'paused') {
+      // Work out where we're up to using the new duration.
+      // (`until` timers are always wherever the clock says they are)
+      const remaining = (this.untilTime !== 0) ? this.untilTime - Date.now() : this.initialMilliseconds - elapsed
+
+      if (remaining <= 0) {
+        this.remainingMilliseconds = 0
+        this.endPlaying()
+        return
+      }
+
+      this.remainingMilliseconds = remaining
+      this.workingIntervals = this.workingIntervals.filter(interval => interval.offset < remaining)
+      this.workingCues = this.workingCues.filter(cue => cue.offset < remaining)
+      this.setCurrentValue(remaining)
+      this.progress.value = (1 - (remaining / this.initialMilliseconds))
+      this.setTimeText()
+
+      if (ticking === true) {
+        this.setProgressTicker(this.intervalTime)
+      }
+    } else if (state === 'overtime' && this.config.overtime === true) {
+      // Keep counting with the new overtime announcements
+      const over = Date.now() - this.overtimeStart
+
+      this.remainingMilliseconds = 0
+      this.workingOvertime = this.newOvertimeSchedule()
+      this.skipElapsed(this.workingOvertime, over)
+      this.setOvertimeTicker(this.intervalTime * 10)
+    } else if (state === 'finished' || state === 'overtime') {
+      this.remainingMilliseconds = 0
+      this.setCurrentValue(0)
+      this.setTimeText()
+      if (state === 'overtime') {
+        // `overtime` has been turned off
+        this.numbers.classList.remove('overtime')
+        this.numbers.classList.add('finished')
+        this.timerState = 'finished'
+      }
+    }
+
+    this.setBtnVisibility()
+    this.saveState()
+  }
+
+  /**
+   * getPlayPauseClick() returns a function for handling click events
+   * on the Play/Pause buttton
+   *
+   * When timer is running, it pause it. When timer is paused or has
+   * not yet started it starts the timer running.
+   *
+   * @returns {function}
+   */
+  getPlayPauseClick () {
+    const playPauseClick = (event) => {
+      if (this.timerState === 'running') {
+        // pausing
+        this.pause()
+      } else {
+        // start playing
+        this.start()
+      }
+    }
+
+    return playPauseClick
+  }
+
+  /**
+   * getResetClick() handles getting the timer ready
+   * to start from begining
+   *
+   * @returns {function}
+   */
+  getResetClick () {
+    const resetClick = () => {
+      this.reset()
+    }
+
+    return resetClick
+  }
+
+  /**
+   * getRestartClick() returns a function to be used as a click handler
+   * for the custom element's restart button.
+   *
+   * Click handler resets timer and starts playing.
+   *
+   * @returns {function}
+   */
+  getRestartClick () {
+    const restartClick = () => {
+      this.restart()
+    }
+
+    return restartClick
+  }
+
+  /**
+   * getCloseClick() returns a function to be used as a click handler
+   * for the custom element's close button.
+   *
+   * Click handler clears all window.intervals set when a timer
+   * starts.
+   * Removes all event listeners then removes the custom element
+   * from the DOM
+   *
+   * @returns {function}
+   */
+  getCloseClick () {
+    const closeClick = (event) => {
+      this.close()
+    }
+
+    return closeClick
+  }
+
+  //  END:  click handlers
+  // ======================================================
+  // START: DOM builders
+
+  /**
+   * getDOM builds the shadow DOM for the custom element
+   *
+   * Creates the following nodes:
+   * 1. wrapping div used as the shell of the element
+   * 2. a style element with all the CSS for the element
+   * 3. the heading containing the user supplied content for the
+   *    title of the timer
+   * 4. the progress bar to show where the timer is at visually
+   * 5. a span containing the numbers for the textual representation
+   *    of the timer's progress (plus the label and progress bar for
+   *    the current segment if the timer runs a sequence and the
+   *    target time if the timer has an `until` attribute)
+   *    followed by the caption showing what was last said (and
+   *    the "Tap to enable sound" button if the browser blocks the
+   *    timer's sounds)
+   * 6. a wrapping div containing the buttons for
+   *    * pause/play
+   *    * restart ("Start again")
+   *    * reset
+   * 7. a close button to dismis the timer
+   */
+  getDOM () {
+    const wrap = document.createElement('div')
+    wrap.setAttribute('class', 'TalkingTimer-wrapper')
+
+    const css = this.initStyle()
+    const style = document.createElement('style')
+    style.appendChild(css)
+
+    const h1 = document.createElement('h1')
+    const slot = document.createElement('slot')
+    h1.appendChild(slot)
+    wrap.appendChild(h1)
+    this.h1 = h1
+
+    const progress = document.createElement('progress')
+    progress.setAttribute('max', 1)
+    progress.setAttribute('value', 0)
+    wrap.appendChild(progress)
+    this.progress = progress
+
+    const numbers = document.createElement('span')
+    numbers.setAttribute('class', 'timer-text')
+    // numbers.appendChild(document.createTextNode(startTime))
+    const segmentLabel = document.createElement('span')
+    segmentLabel.setAttribute('class', 'segment-label hide')
+
+    const segmentProgress = document.createElement('progress')
+    segmentProgress.setAttribute('class', 'segment-progress hide')
+    segmentProgress.setAttribute('max', 1)
+    segmentProgress.setAttribute('value', 0)
+
+    const untilText = document.createElement('span')
+    untilText.setAttribute('class', 'until-text hide')
+
+    const caption = document.createElement('p')
+    caption.setAttribute('class', 'caption')
+    caption.setAttribute('role', 'status')
+    caption.setAttribute('aria-live', 'polite')
+
+    const unlock = document.createElement('button')
+    unlock.setAttribute('class', 'unlockBtn hide')
+    unlock.appendChild(document.createTextNode('Tap to enable sound'))
+
+    const numbersWrap = document.createElement('div')
+    numbersWrap.setAttribute('class', 'timer-text--wrap')
+    numbersWrap.appendChild(segmentLabel)
+    numbersWrap.appendChild(numbers)
+    numbersWrap.appendChild(untilText)
+    numbersWrap.appendChild(segmentProgress)
+    numbersWrap.appendChild(caption)
+    numbersWrap.appendChild(unlock)
+    wrap.appendChild(numbersWrap)
+
+    this.numbers = numbers
+    this.segmentLabel = segmentLabel
+    this.segmentProgress = segmentProgress
+    this.untilText = untilText
+    this.caption = caption
+    this.unlockBtn = unlock
+    this.wrap = wrap
+
+    wrap.addEventListener('animationend', () => {
+      wrap.classList.remove('flash-interval', 'flash-end')
+    })
+
+    wrap.appendChild(this.initMainBtns())
+    wrap.appendChild(this.initCloseBtn())
+    wrap.appendChild(style)
+
+    return wrap
+  }
+
+  /**
+   * initCloseBtn() builds a close button to be inserted into the
+   * HTML of the custom element
+   *
+   * @returns {HTMLElement} simple close button
+   */
+  initCloseBtn () {
+    const close = document.createElement('button')
+    const closeSR = document.createElement('span')
+    const closeIcon = document.createElement('span')
+
+    closeSR.setAttribute('class', 'sr-only')
+    closeSR.appendChild(document.createTextNode('Close'))
+
+    closeIcon.setAttribute('class', 'smallBtn__icon')
+    closeIcon.innerHTML = '&CircleTimes;'
+
+    close.setAttribute('class', 'closeBtn smallBtn')
+    close.appendChild(closeSR)
+    close.appendChild(closeIcon)
+
+    this.closeBtn = close
+
+    return close
+  }
+
+  /**
+   * initMainBtns() builds four buttons and wraps them in a <div>
+   *
+   * Buttons are:
+   *   * pausePlay - used to control the countdown timing process
+   *   * restart - used to trigger a reset, play action
+   *   * reset - used to trigger a stop, reset action
+   *   * stopChime - used to silence the end chime (only shown while
+   *     the chime is playing)
+   *
+   * Followed by the mute button & volume slider
+   *
+   * @returns {HTMLElement}
+   */
+  initMainBtns () {
+    const btnWrap = document.createElement('div')
+    btnWrap.setAttribute('class', 'btn-wrapper')
+
+    const playPauseIcon = document.createElement('span')
+    playPauseIcon.innerHTML = '&bigtriangledown;'
+    playPauseIcon.setAttribute('class', 'non-sr icon')
+
+    const playPauseTxt = document.createElement('span')
+    playPauseTxt.setAttribute('class', 'playPauseTxt')
+    playPauseTxt.appendChild(document.createTextNode('Start '))
+
+    const playPause = document.createElement('button')
+    playPause.setAttribute('class', 'playPauseBtn')
+    playPause.appendChild(playPauseTxt)
+    playPause.appendChild(playPauseIcon)
+
+    const restartIcon = document.createElement('span')
+    restartIcon.setAttribute('class', 'non-sr icon')
+    restartIcon.innerHTML = '&circlearrowright;'
+
+    const restart = document.createElement('button')
+    restart.setAttribute('class', 'restartBtn')
+    restart.appendChild(document.createTextNode('Start again '))
+    restart.appendChild(restartIcon)
+    restart.classList.add('hide')
+
+    const resetIcon = document.createElement('span')
+    resetIcon.setAttribute('class', 'non-sr icon')
+    resetIcon.innerHTML = '&hookleftarrow;'
+
+    const reset = document.createElement('button')
+    reset.setAttribute('class', 'resetBtn')
+    reset.appendChild(document.createTextNode('Reset '))
+    reset.appendChild(resetIcon)
+    reset.classList.add('hide')
+
+    const stopChimeIcon = document.createElement('span')
+    stopChimeIcon.setAttribute('class', 'non-sr icon')
+    stopChimeIcon.innerHTML = '&squf;'
+
+    const stopChime = document.createElement('button')
+    stopChime.setAttribute('class', 'stopChimeBtn')
+    stopChime.appendChild(document.createTextNode('Stop chime '))
+    stopChime.appendChild(stopChimeIcon)
+    stopChime.classList.add('hide')
+
+    const mute = document.createElement('button')
+    mute.setAttribute('class', 'muteBtn')
+    mute.setAttribute('aria-pressed', 'false')
+    mute.appendChild(document.createTextNode('Mute'))
+
+    const volume = document.createElement('input')
+    volume.setAttribute('type', 'range')
+    volume.setAttribute('class', 'volumeSlider')
+    volume.setAttribute('min', '0')
+    volume.setAttribute('max', '1')
+    volume.setAttribute('step', '0.05')
+    volume.setAttribute('aria-label', 'Volume')
+
+    const volumeWrap = document.createElement('div')
+    volumeWrap.setAttribute('class', 'volume-wrapper')
+    volumeWrap.appendChild(mute)
+    volumeWrap.appendChild(volume)
+
+    btnWrap.appendChild(playPause)
+    btnWrap.appendChild(restart)
+    btnWrap.appendChild(reset)
+    btnWrap.appendChild(stopChime)
+    btnWrap.appendChild(volumeWrap)
+
+    this.playPauseBtn = playPause
+    this.playPauseIcon = playPauseIcon
+    this.playPauseTxt = playPauseTxt
+    this.restartBtn = restart
+    this.resetBtn = reset
+    this.stopChimeBtn = stopChime
+    this.volumeWrap = volumeWrap
+    this.muteBtn = mute
+    this.volumeSlider = volume
+
+    return btnWrap
+  }
+
+  /**
+   * initStyle() returns block of CSS for styling the <talking-timer>
+   * element's shadow DOM
+   *
+   * @returns {textNode} CSS string
+   */
+  initStyle () {
+    return document.createTextNode(`
+      :host {
+        --closebtn-left: 2;
+        --closebtn-right: 3;
+        --closebtn-top: 1;
+        --closebtn-bottom: 2;
+
+        --configbtn-left: -2;
+        --configbtn-right: -1;
+        --configbtn-top: 3;
+        --configbtn-bottom: 4;
+
+        --btn-color: inherit;
+        --btn-background: #fff;
+        --btn-size: 1.25em;
+        --btn-padding: 0.5em 0;
+        --btn-border-color: #c0e;
+        --btn-border-width: 0.05em;
+        --btn-hover-color: #fff;
+        --btn-hover-background: #eee;
         --btn-hover-border-color: #eee;
         --btn-hover-border-width: 0.05em;
 
-        --h1-size: 1.5em;
-        --h1-padding: 0.5em 2.5em 0.5em 0.5em;
-        --h1-noclosebtn-padding: 0.5em;
-        --h1-align: center;
+        --h1-size: 1.5em;
+        --h1-padding: 0.5em 2.5em 0.5em 0.5em;
+        --h1-noclosebtn-padding: 0.5em;
+        --h1-align: center;
+
+        --playpause-color: #fff;
+        --playpause-size: 1.25em;
+        --playpause-weight: bold;
+        --playpause-background: #050;
+        --playpause-border-width: 0.05em;
+        --playpause-border-color: #040;
+        --playpause-hover-weight: bold;
+        --playpause-hover-color: #fff;
+        --playpause-hover-background: #030;
+        --playpause-hover-border-width: #fff;
+        --playpause-hover-border-color: #020;
+
+        --progress-background: #fff;
+        --progress-border-color: #ccc;
+        --progress-border-width: 0.05em;
+        --progress-color: #F00;
+        --progress-height: 2em;
+        --progress-left: -0.05em;
+        --progress-right: auto;
+
+        --segment-label-size: 1.5em;
+        --segment-label-weight: bold;
+        --segment-label-align: center;
+        --segment-progress-height: 0.75em;
+
+        --smallbtn-color: inherit;
+        --smallbtn-background: transparent;
+        --smallbtn-border-width: 0;
+        --smallbtn-border-style: none;
+        --smallbtn-border-color: transparent;
+        --smallbtn-size: 2em;
+        --smallbtn-left: 2;
+        --smallbtn-right: 2;
+        --smallbtn-position: absolute;
+        --smallbtn-padding: 0.2em 0.25em;
+        --smallbtn-weight: normal;
+        --smallbtn-hover-color: #c00;
+        --smallbtn-hover-weight: bold;
+        --smallbtn-hover-background: transparent;
+        --smallbtn-hover-border-width: 0;
+        --smallbtn-hover-border-style: none;
+        --smallbtn-hover-border-color: transparent;
+
+        --talkingTimer-columns: auto 2em;
+        --talkingTimer-rows: 2em auto auto 2em auto auto;
+
+        --timertext-color: #222;
+        --timertext-family: verdana, arial, helvetica, sans-serif;
+        --timertext-size: 6em;
+        --timertext-weight: bold;
+        --timertext-padding: 0.1em 0.25em 0.2em;
+        --timertext-align: center;
+
+        --overtime-color: #c00;
+        --overtime-background: transparent;
+
+        --until-color: #555;
+        --until-size: 1.25em;
+        --until-weight: normal;
+        --until-align: center;
+
+        --caption-color: inherit;
+        --caption-background: transparent;
+        --caption-size: 1.25em;
+        --caption-weight: normal;
+        --caption-align: center;
+        --caption-padding: 0.25em;
+        --caption-min-height: 1.5em;
+
+        --pulse-color: rgba(0, 85, 0, 0.5);
+        --pulse-duration: 1s;
+        --flash-color: #c00;
+        --flash-duration: 1s;
+
+        --unlockbtn-color: #fff;
+        --unlockbtn-background: #c60;
+
+        --mutebtn-muted-color: #fff;
+        --mutebtn-muted-background: #c00;
+        --volume-slider-width: 6em;
+        --flash-count: 3;
+        --flash-reduced-outline: 0.25em solid #c00;
+
+        --wrapper-border-width: 0.05em;
+        --wrapper-border-color: #ccc;
+      }
+
+      :root {
+        font-family: inherit;
+        color: inherit;
+      }
+
+      h1 {
+        grid-column-start: 1;
+        grid-column-end: 3;
+        grid-row-start: 1;
+        grid-row-end: 3;
+        font-size: var(--h1-size);
+        margin: 0;
+        padding: var(--h1-padding);
+        text-align: var(--h1-align);
+      }
+
+      h1.noclosebtn {
+        padding: var(--h1-noclosebtn-padding);
+      }
+
+      .btn-wrapper {
+        grid-column-start: 1;
+        grid-column-end: 3;
+        grid-row-start: 6;
+        grid-row-end: 7;
+        align-items: stretch;
+        display: flex;
+        justify-content: space-between;
+      }
+
+      button {
+        background-color: var(--btn-background);
+        border-width: var(--btn-border-width);
+        border-style:  solid;
+        border-color: var(--btn-border-color);
+        flex-grow: 1;
+        font-size: var(--btn-size);
+        font-variant: small-caps;
+        padding: var(--btn-padding);
+      }
+
+      button:last-child {
+        border-right-width: 0.075em;
+      }
+
+      button:hover {
+        background-color: var(--btn-hover-background);
+        border-width: var(--btn-hover-border-width);
+        border-color: var(--btn-hover-border-color);
+        cursor: pointer;
+      }
+
+      button .icon {
+        display: inline-block;
+        font-weight: bold;
+        font-size: 1.25em;
+        margin-bottom: -1em;
+        margin-left: 0.3em;
+        margin-top: -1em;
+        transform: translateY(0.15em);
+      }
+
+      .playPauseBtn {
+        border-color: var(--playpause-border-color);
+        border-width: var(--playpause-border-width);
+        background-color: var(--playpause-background);
+        color: var(--playpause-color);
+        flex-grow: 3;
+        font-weight: var(--playpause-weight);
+      }
+
+      .playPauseBtn:hover {
+        background-color: var(--playpause-hover-background);
+        border-color: var(--playpause-hover-border-color);
+        font-weight: var(--playpause-hover-weight);
+      }
+
+      .playPauseBtn .icon {
+        transform: translateY(0.15em) rotate(30deg);
+      }
+
+      .playPauseBtn.playing .icon {
+        transform: translateY(-0.05em);
+      }
+
+      .playPauseBtn.finished {
+        opacity: 0;
+      }
+
+      .restartBtn .icon {
+        font-size: 1.5em;
+        transform: translateY(0.15em) rotate(45deg);
+      }
+
+      .resetBtn .icon {
+        font-weight: normal;
+      }
+
+      .volume-wrapper {
+        align-items: center;
+        display: flex;
+        flex-grow: 1;
+      }
+
+      .muteBtn {
+        align-self: stretch;
+      }
+
+      .muteBtn[aria-pressed=true] {
+        background-color: var(--mutebtn-muted-background);
+        color: var(--mutebtn-muted-color);
+      }
+
+      .volumeSlider {
+        margin: 0 0.5em;
+        width: var(--volume-slider-width);
+      }
+
+      @media screen {
+        .sr-only {
+          display: inline-block;
+          height: 1px;
+          margin: -1px 0 0 -1px;
+          opacity: 0;
+          width: 1px;
+        }
+      }
+
+      .smallBtn {
+        background: var(--smallbtn-background);
+        border-width: var(--smallbtn-border-width);
+        border-style: var(--smallbtn-border-style);
+        border-color: var(--smallbtn-border-color);
+        color: var(--smallbtn-color);
+        font-size: var(--smallbtn-size);
+        font-weight: var(--smallbtn-weight);
+        grid-column-start: var(--smallbtn-left);
+        grid-column-end: var(--smallbtn-right);
+        line-height: 0em;
+        margin: 0;
+        padding: var(--smallbtn-padding);
+      }
+
+      .closeBtn {
+        grid-row-start: var(--closebtn-top);
+        grid-row-end: var(--closebtn-bottom);
+      }
+
+      .smallBtn:hover,
+      .smallBtn:focus {
+        background-color: var(--smallbtn-hover-background);
+        border-width: var(--smallbtn-hover-border-width);
+        border-style: var(--smallbtn-hover-border-style);
+        border-color: var(--smallbtn-hover-border-color);
+        color: var(--smallbtn-hover-color);
+        font-weight: var(--smallbtn-hover-weight);
+      }
+
+      .smallBtn__icon {
+        position: relative;
+        top: 0;
+        left: -0.25em;
+      }
+
+      .timer-text {
+        color: var(--timertext-color);
+        display: block;
+        font-family: var(--timertext-family);
+        font-size: var(--timertext-size);
+        font-weight: var(--timertext-weight);
+        padding: var(--timertext-padding);
+        text-align: var(--timertext-align);
+      }
+
+      progress {
+        grid-column-start: 1;
+        grid-column-end: 3;
+        grid-row-start: 3;
+        grid-row-end: 4;
+        z-index: 10;
+        background-color: #fff;
+        border-width: var(--progress-border-width);
+        border-style: solid;
+        border-color: var(--progress-border-color);
+        color: var(--progress-color);
+        display: block;
+        height: var(--progress-height);
+        left: var(--progress-left);
+        right: var(--progress-right);
+        position: relative;
+        width: 100%;
+      }
+
+      ::slotted(talking-timer-segment) {
+        display: none;
+      }
+
+      .segment-label {
+        display: block;
+        font-size: var(--segment-label-size);
+        font-weight: var(--segment-label-weight);
+        text-align: var(--segment-label-align);
+      }
+
+      .until-text {
+        color: var(--until-color);
+        display: block;
+        font-size: var(--until-size);
+        font-weight: var(--until-weight);
+        text-align: var(--until-align);
+      }
+
+      .caption {
+        background-color: var(--caption-background);
+        color: var(--caption-color);
+        font-size: var(--caption-size);
+        font-weight: var(--caption-weight);
+        margin: 0;
+        min-height: var(--caption-min-height);
+        padding: var(--caption-padding);
+        text-align: var(--caption-align);
+      }
+
+      .unlockBtn {
+        background-color: var(--unlockbtn-background);
+        color: var(--unlockbtn-color);
+        display: block;
+        margin: 0.25em auto;
+      }
+
+      .unlockBtn.hide {
+        display: none;
+      }
+
+      .flash-interval {
+        animation: talking-timer-pulse var(--pulse-duration) ease-in-out 1;
+      }
+
+      .flash-end {
+        animation: talking-timer-flash var(--flash-duration) step-end var(--flash-count);
+      }
+
+      @keyframes talking-timer-pulse {
+        50% {
+          box-shadow: 0 0 0 0.5em var(--pulse-color);
+        }
+      }
+
+      @keyframes talking-timer-flash {
+        0% {
+          background-color: var(--flash-color);
+        }
+        50% {
+          background-color: transparent;
+        }
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .flash-interval,
+        .flash-end {
+          animation: none;
+          outline: var(--flash-reduced-outline);
+        }
+      }
+
+      .segment-progress {
+        display: block;
+        height: var(--segment-progress-height);
+        width: 100%;
+      }
+
+      .finished {
+        background-color: #c00;
+        color: #fff;
+      }
+
+      .timer-text.overtime {
+        color: var(--overtime-color);
+        background-color: var(--overtime-background);
+      }
+
+      .tenths {
+        font-size: 0.5em;
+        font-weight: normal;
+      }
+
+      .hide {
+        display: none;
+      }
+
+      .TalkingTimer-wrapper {
+        display: grid;
+        grid-template-columns: var(--talkingTimer-columns);
+        grid-template-rows: var(--talkingTimer-rows);
+      }
+
+      .timer-text--wrap {
+        grid-column-start: 1;
+        grid-column-end: 3;
+        grid-row-start: 4;
+        grid-row-end: 6;
+      }
+      .config-btn {
+        grid-row-start: var(-configbtn-top);
+        grid-row-end: var(--configbtn-bottom);
+      }
+      .config-wrap {
+        grid-column-start: 1;
+        grid-column-end: 3;
+        grid-row-start: 1;
+        grid-row-end: 6;
+        z-index: 10;
+        overflow-y: auto;
+        background-color: rgba(255, 255, 255, 0.75);
+      }
+      `
+    )
+  }
+
+  /**
+   * setBtnVisibility() shows or hides the timer's buttons to match
+   * the timer's config and where the timer is at
+   *
+   * @returns {void}
+   */
+  setBtnVisibility () {
+    const started = (this.timerState !== 'ready' && this.timerState !== 'unconfigured')
+    const locked = (this.config.noPause === true && this.timerState === 'running')
+    const noClose = (this.config.noCloseBtn === true || locked === true)
+
+    // There's nothing to play or pause once a timer is in overtime
+    this.playPauseBtn.classList.toggle('hide', (locked === true || this.timerState === 'overtime'))
+    this.resetBtn.classList.toggle('hide', (started === false || this.config.noReset === true || this.config.noPause === true))
+    this.restartBtn.classList.toggle('hide', (started === false || this.config.noRestart === true || this.config.noPause === true))
+    this.closeBtn.classList.toggle('hide', noClose)
+    this.h1.classList.toggle('noclosebtn', noClose)
+    this.volumeWrap.classList.toggle('hide', this.config.noVolume === true)
+  }
+
+  //  END:  DOM builders
+  // ======================================================
+  // START: timer callbacks
+
+  /**
+   * setTimeText() returns a callback function to be passed to
+   * `window.setInterval()` or `window.clearInterval()`
+   *
+   * The callback handles updating the textual representation of the
+   * time remaining in the countdown
+   *
+   * @returns {void}
+   */
+  setTimeText () {
+    this.numbers.innerHTML = this.timeObjToString(this.currentValue)
+  }
+
+  /**
+   * setCurrentValue() updates the time object used for the textual
+   * representation of the timer.
+   *
+   * Count down timers show the time remaining. Count up timers show
+   * the time elapsed.
+   *
+   * @param {number} remaining number of milliseconds remaining
+   *
+   * @returns {void}
+   */
+  setCurrentValue (remaining) {
+    let milliseconds = (this.config.mode === 'countup') ? this.initialMilliseconds - remaining : remaining
+
+    if (this.segments.length > 0) {
+      // Sequences show the time remaining in the current segment
+      const segment = this.segments[this.getSegmentIndex(remaining)]
+      milliseconds = remaining - (this.initialMilliseconds - segment.end)
+    }
+
+    this.currentValue = this.millisecondsToTimeObj(milliseconds)
+  }
+
+  /**
+   * setProgressTicker()
+   *
+   * @param {integer} interval number of Milliseconds the interval
+   *                 should be between when the progress bar is
+   *                 updated.
+   * @returns {void}
+   */
+  setProgressTicker (interval) {
+    if (this.isOpenEnded()) {
+      this.setStopwatchTicker(interval)
+      return
+    }
+
+    if (this.untilTime !== 0) {
+      // The wall clock doesn't stop when the timer is paused
+      this.endTime = this.untilTime
+    } else if (this.endTime === 0) {
+      this.endTime = Date.now() + this.remainingMilliseconds
+    }
+
+    const progressTickTock = () => {
+      this.remainingMilliseconds = this.endTime - Date.now()
+
+      if (this.remainingMilliseconds < 0) {
+        this.remainingMilliseconds = 0
+      }
+
+      const promise1 = new Promise((resolve, reject) => {
+        const preOffset = this.getSpeakPreOffset(this.remainingMilliseconds, (this.workingIntervals.length > 0) ? this.workingIntervals[0].message : '')
+        this.progress.value = (1 - (this.remainingMilliseconds / this.initialMilliseconds))
+        this.setCurrentValue(this.remainingMilliseconds)
+        if (this.segments.length > 0) {
+          this.setSegmentProgress(this.remainingMilliseconds)
+        }
+
+        if (Math.floor(this.remainingMilliseconds) > 0) {
+          this.playDueCues(this.remainingMilliseconds, interval)
+        }
+
+        if (Math.floor(this.remainingMilliseconds) <= 0) {
+          this.endPlaying()
+        } else if (this.workingIntervals.length > 0 && (this.workingIntervals[0].offset + preOffset) > this.remainingMilliseconds) {
+          const sayThis = this.workingIntervals.shift()
+          if (this.posMinus(sayThis.offset, this.remainingMilliseconds) < 2000) {
+            // This ensures that if for some reason, there is a
+            // back-log of intervals to be spoken, only intervals
+            // that should have been spoken within the last
+            // 2 seconds get spoken
+            this.saySomething(sayThis.message, (sayThis.offset <= 10000) ? 2 : 1)
+            this.flash('interval')
+            this.vibrate((sayThis.offset <= 10000) ? 'countdown' : 'interval')
+            this.dispatch('interval', {
+              message: sayThis.message,
+              raw: sayThis.raw,
+              offset: sayThis.offset
+            })
+          }
+        }
+      })
+      const promise3 = new Promise((resolve, reject) => { this.setTimeText() })
+    }
+    this.progressTicker = setInterval(progressTickTock, interval)
+  }
+
+  /**
+   * setOvertimeText() shows how far past zero the timer is
+   * (e.g. "-1:23")
+   *
+   * @param {number} over number of milliseconds over time
+   *
+   * @returns {void}
+   */
+  setOvertimeText (over) {
+    const tmp = this.millisecondsToTimeObj(Math.floor(over / 1000) * 1000)
+
+    // Always show minutes & seconds (e.g. "-0:05") but never tenths
+    this.currentValue = (tmp.days > 0 || tmp.hours > 0)
+      ? { days: tmp.days, hours: tmp.hours, minutes: tmp.minutes, seconds: tmp.seconds }
+      : { minutes: tmp.minutes, seconds: tmp.seconds }
+    this.numbers.innerHTML = '-' + this.timeObjToString(this.currentValue, false)
+  }
+
+  /**
+   * setOvertimeTicker() keeps the display (and announcements) going
+   * once the timer has gone past zero
+   *
+   * @param {integer} interval number of Milliseconds between updates
+   *
+   * @returns {void}
+   */
+  setOvertimeTicker (interval) {
+    const overtimeTickTock = () => {
+      const over = Date.now() - this.overtimeStart
+
+      this.setOvertimeText(over)
+
+      const due = this.takeElapsed(this.workingOvertime, over)
+
+      if (due.length > 0 && over - due[due.length - 1].offset < 2000) {
+        // Only the latest announcement is worth saying
+        const sayThis = due[due.length - 1]
+        this.saySomething(sayThis.message, 1)
+        this.flash('interval')
+        this.vibrate('interval')
+        this.dispatch('interval', {
+          message: sayThis.message,
+          raw: sayThis.raw,
+          offset: sayThis.offset,
+          overtime: over
+        })
+      }
+    }
+    this.progressTicker = setInterval(overtimeTickTock, interval)
+  }
+
+  /**
+   * setStopwatchTicker() keeps a stopwatch without a `limit`
+   * counting up (and making its announcements) until it's paused,
+   * reset or closed
+   *
+   * @param {integer} interval number of Milliseconds between updates
+   *
+   * @returns {void}
+   */
+  setStopwatchTicker (interval) {
+    if (this.startTime === 0) {
+      this.startTime = Date.now() - this.elapsedMilliseconds
+    }
+
+    const stopwatchTickTock = () => {
+      const elapsed = Date.now() - this.startTime
+
+      this.elapsedMilliseconds = elapsed
+      this.currentValue = this.millisecondsToTimeObj(elapsed)
+      this.setTimeText()
+
+      for (let a = 0; a < this.workingElapsedCues.length; a += 1) {
+        const cues = this.takeElapsed(this.workingElapsedCues[a], elapsed + interval)
+
+        for (let b = 0; b < cues.length; b += 1) {
+          const wait = cues[b].offset - elapsed
+
+          if (wait > -2000) {
+            this.playNotes(this.cueSounds[cues[b].sound], false, Math.max(wait, 0) / 1000)
+            this.dispatch('cue', {
+              sound: cues[b].sound,
+              raw: cues[b].raw,
+              offset: cues[b].offset
+            })
+          }
+        }
+      }
+
+      const due = this.takeElapsed(this.workingElapsed, elapsed)
+
+      if (due.length > 0 && elapsed - due[due.length - 1].offset < 2000) {
+        // If there's a back-log (e.g. the browser tab was asleep)
+        // only the latest announcement is worth saying
+        const sayThis = due[due.length - 1]
+
+        this.saySomething(sayThis.message, 1)
+        this.flash('interval')
+        this.vibrate('interval')
+        this.dispatch('interval', {
+          message: sayThis.message,
+          raw: sayThis.raw,
+          offset: sayThis.offset
+        })
+      }
+    }
+    this.progressTicker = setInterval(stopwatchTickTock, interval)
+  }
+
+  /**
+   * getSpeakPreOffset() gets the number of milliseconds the text-to-speech should take
+   *
+   * @param {integer} timeRemaining number of Milliseconds
+   *                 remaining until the end of the timer
+   * @param {string} message (optional) what is to be said. If it
+   *                 has a pre-recorded clip, the clip's duration
+   *                 is used
+   *.
+   * @returns {integer}
+   */
+  getSpeakPreOffset (timeRemaining, message) {
+    const clip = (typeof message === 'string') ? this.getClipDuration(message) : -1
+    if (clip >= 0) {
+      return clip
+    }
+
+    const c = this.pre.length
+    for (let a = 0; a < c; a += 1) {
+      if (timeRemaining <= this.pre[a].remaining) {
+        return this.pre[a].delay
+      }
+    }
+    const b = c - 1
+    return this.pre[b].delay
+  }
+
+  //  END:  timer callbacks
+  // ======================================================
+  // START: utility methods
+
+  /**
+   * onlyGreaterThanZero() ensures that the most significant field in
+   * the returned timeObj is non-zero
+   *
+   * @param {object} currentValue containing seconds, minutes, hours
+   *                & days representing the timer's duration
+   *
+   * @returns {object} object containing only the least significant
+   *                fields greater than zero
+   */
+  onlyGreaterThanZero (currentValue) {
+    const fields = ['days', 'hours', 'minutes', 'seconds', 'tenths']
+    let tmpValue = {}
+    let allTheRest = false
+
+    for (let a = 0; a < fields.length; a += 1) {
+      const field = fields[a]
+      const isNum = typeof currentValue[field] === 'number'
+      if (allTheRest === true || (isNum === true && currentValue[field] > 0)) {
+        tmpValue[field] = (isNum === true) ? currentValue[field] : 0
+        allTheRest = true
+      }
+    }
+
+    return tmpValue
+  }
+
+  /**
+   * parseTimeDuration() (PURE) converts a duration string into a
+   * time object
+   *
+   * Accepts the following formats:
+   * * total number of seconds (e.g. "90" or "12.5")
+   * * colon separated: "MM:SS", "HH:MM:SS" or "D:HH:MM:SS" (seconds
+   *   may have a fraction e.g. "1:30.5")
+   * * ISO 8601 durations (e.g. "PT1H30M" or "P1DT12H")
+   * * human shorthand (e.g. "1h 30m", "90s", "2.5m" or "1 day 2 hours")
+   *
+   * @param {string} duration string to be parsed
+   *
+   * @returns {object|string} time object with the form
+   *                 {days, hours, minutes, seconds[, tenths]} or a
+   *                 string explaining why the duration could not be
+   *                 parsed
+   */
+  parseTimeDuration (duration) {
+    if (typeof duration !== 'string' || duration.trim() === '') {
+      return 'No duration was provided.'
+    }
+
+    const trimmed = duration.trim()
+    let milliseconds = 0
+
+    if (trimmed.substr(0, 1) === '-') {
+      return 'Durations can\'t be negative.'
+    } else if (/^p/i.test(trimmed)) {
+      milliseconds = this.parseIsoDuration(trimmed)
+    } else if (/^[0-9.:]+$/.test(trimmed)) {
+      milliseconds = this.parseColonDuration(trimmed)
+    } else {
+      milliseconds = this.parseShorthandDuration(trimmed)
+    }
+
+    if (typeof milliseconds === 'string') {
+      return milliseconds
+    }
+
+    return this.millisecondsToDurationObj(milliseconds)
+  }
+
+  /**
+   * parseColonDuration() (PURE) converts a colon separated duration
+   * ("SS", "MM:SS", "HH:MM:SS" or "D:HH:MM:SS") into milliseconds
+   *
+   * The most significant field can be any size (e.g. "90:00" is
+   * ninety minutes). The other fields must fit within their unit
+   * (e.g. seconds must be less than 60)
+   *
+   * @param {string} duration
+   *
+   * @returns {number|string} number of milliseconds or a string
+   *                 explaining why the duration could not be parsed
+   */
+  parseColonDuration (duration) {
+    const parts = duration.split(':')
+    const units = ['seconds', 'minutes', 'hours', 'days'].slice(0, parts.length).reverse()
+    const limits = { days: -1, hours: 24, minutes: 60, seconds: 60 }
+    let output = 0
+
+    if (parts.length > 4) {
+      return '"' + duration + '" has too many parts. The most allowed is "D:HH:MM:SS".'
+    }
+
+    for (let a = 0; a < parts.length; a += 1) {
+      const unit = units[a]
+      const isLast = (a === parts.length - 1)
+      const regex = (isLast === true) ? /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)$/ : /^[0-9]+$/
+
+      if (regex.test(parts[a]) === false) {
+        return '"' + parts[a] + '" is not a valid number of ' + unit + ((isLast === true) ? '.' : ' (only seconds can have a fraction).')
+      }
+
+      const value = Number.parseFloat(parts[a])
+
+      if (a > 0 && value >= limits[unit]) {
+        return '"' + duration + '" has ' + value + ' ' + unit + '. It must be less than ' + limits[unit] + '.'
+      }
+
+      output += value * this.multipliers[unit]
+    }
+
+    return output
+  }
+
+  /**
+   * parseIsoDuration() (PURE) converts an ISO 8601 duration
+   * (e.g. "PT1H30M") into milliseconds
+   *
+   * __NOTE:__ years & months are not supported because they don't
+   *           have a fixed length
+   *
+   * @param {string} duration
+   *
+   * @returns {number|string} number of milliseconds or a string
+   *                 explaining why the duration could not be parsed
+   */
+  parseIsoDuration (duration) {
+    const num = '([0-9]+(?:[.,][0-9]+)?)'
+    const regex = new RegExp('^P(?:' + num + 'W)?(?:' + num + 'D)?(?:T(?:' + num + 'H)?(?:' + num + 'M)?(?:' + num + 'S)?)?$', 'i')
+    const matches = regex.exec(duration)
+    const multipliers = [604800000, this.multipliers.days, this.multipliers.hours, this.multipliers.minutes, this.multipliers.seconds]
+    let output = 0
+    let found = false
+
+    if (matches === null) {
+      if (/^P[^T]*[YM]/i.test(duration)) {
+        return '"' + duration + '" uses years or months, which don\'t have a fixed length. Use weeks, days, hours, minutes or seconds instead.'
+      }
+      return '"' + duration + '" is not a valid ISO 8601 duration (e.g. "PT1H30M").'
+    }
+
+    for (let a = 1; a < matches.length; a += 1) {
+      if (typeof matches[a] === 'string') {
+        output += Number.parseFloat(matches[a].replace(',', '.')) * multipliers[a - 1]
+        found = true
+      }
+    }
+
+    if (found === false) {
+      return '"' + duration + '" is not a valid ISO 8601 duration. It has no values (e.g. "PT1H30M").'
+    }
+
+    return output
+  }
+
+  /**
+   * parseShorthandDuration() (PURE) converts a human shorthand
+   * duration (e.g. "1h 30m", "90s", "2.5m" or "1 day, 2 hours")
+   * into milliseconds
+   *
+   * @param {string} duration
+   *
+   * @returns {number|string} number of milliseconds or a string
+   *                 explaining why the duration could not be parsed
+   */
+  parseShorthandDuration (duration) {
+    const regex = /([0-9]+(?:\.[0-9]*)?|\.[0-9]+)\s*(d(?:ays?)?|h(?:(?:ou)?rs?)?|m(?:in(?:ute)?s?)?|s(?:ec(?:ond)?s?)?)(?![a-z])/ig
+    const units = { d: 'days', h: 'hours', m: 'minutes', s: 'seconds' }
+    const seen = []
+    let matches
+    let output = 0
+    let found = false
+
+    while ((matches = regex.exec(duration)) !== null) {
+      const unit = units[matches[2].substr(0, 1).toLowerCase()]
+
+      if (seen.indexOf(unit) !== -1) {
+        // Probably a typo (e.g. "1m 1m" for "1h 1m")
+        return '"' + duration + '" has ' + unit + ' more than once. Each unit can only be used once (e.g. "1h 30m").'
+      }
+      seen.push(unit)
+
+      output += Number.parseFloat(matches[1]) * this.multipliers[unit]
+      found = true
+    }
+
+    // Everything that isn't a number/unit pair should just be
+    // separators
+    const leftOver = duration.replace(regex, '').replace(/(?:\s+|,|\band\b)/ig, '')
+
+    if (found === false || leftOver !== '') {
+      return 'Could not understand "' + duration + '". Use a number followed by a unit (d, h, m or s) e.g. "1h 30m".'
+    }
+
+    return output
+  }
+
+  /**
+   * millisecondsToDurationObj() (PURE) converts a number of
+   * milliseconds into a time object for a duration (i.e. one that
+   * only has tenths of a second if they're needed)
+   *
+   * @param {number} milliseconds
+   *
+   * @returns {object} time object with the form
+   *                 {days, hours, minutes, seconds[, tenths]}
+   */
+  millisecondsToDurationObj (milliseconds) {
+    const output = this.millisecondsToTimeObj(milliseconds)
+
+    if (output.tenths === 0) {
+      delete output.tenths
+    }
+
+    return output
+  }
+
+  /**
+   * validateTimeDuration() validates the value of the element's `time`
+   * (or `limit`) attribute
+   *
+   * __NOTE:__ this method also assignes parsed values to object
+   *       properties
+   *
+   * @param {string} duration the string value of the element's
+   *                 `time` attribute (see parseTimeDuration() for
+   *                 allowed formats)
+   *
+   * @returns {boolean} TRUE if duration can be parsed (and is longer
+   *          than zero). FALSE otherwise
+   */
+  validateTimeDuration (duration) {
+    const tmpStart = this.parseTimeDuration(duration)
+
+    if (typeof tmpStart === 'string') {
+      console.error('talking-timer could not use "' + duration + '" as a duration. ' + tmpStart)
+      return false
+    }
+
+    const milliseconds = this.timeObjToMilliseconds(tmpStart)
+    if (milliseconds <= 0) {
+      console.error('talking-timer could not use "' + duration + '" as a duration. It must be longer than zero.')
+      return false
+    }
+
+    this.initialValue = tmpStart
+    this.initialMilliseconds = milliseconds
+    this.resetTimerValues()
+    return true
+  }
+
+  /**
+   * parseUntil() (PURE) converts the value of an `until` attribute
+   * into a timestamp
+   *
+   * Accepts either a time of day ("HH:MM" or "HH:MM:SS" - local
+   * time) or a full ISO 8601 date-time
+   * (e.g. "2024-05-01T14:30:00+10:00")
+   *
+   * __NOTE:__ a time of day that has already passed today is taken
+   *           to mean that time tomorrow.
+   *
+   * @param {string} until value of the `until` attribute
+   * @param {number} now   timestamp for the current time
+   *
+   * @returns {number|string} timestamp (in milliseconds) or a string
+   *                 explaining why `until` could not be parsed
+   */
+  parseUntil (until, now) {
+    const trimmed = (typeof until === 'string') ? until.trim() : ''
+    const timeOfDay = /^([01]?[0-9]|2[0-3]):([0-5][0-9])(?::([0-5][0-9]))?$/.exec(trimmed)
+
+    if (timeOfDay !== null) {
+      const target = new Date(now)
+      target.setHours(
+        Number.parseInt(timeOfDay[1], 10),
+        Number.parseInt(timeOfDay[2], 10),
+        (typeof timeOfDay[3] === 'string') ? Number.parseInt(timeOfDay[3], 10) : 0,
+        0
+      )
+
+      if (target.getTime() <= now) {
+        target.setDate(target.getDate() + 1)
+      }
+      return target.getTime()
+    }
+
+    const timestamp = (/^[0-9]{4}-[0-9]{2}-[0-9]{2}/.test(trimmed)) ? Date.parse(trimmed) : NaN
+
+    if (isNaN(timestamp)) {
+      return '"' + until + '" is not a time of day (e.g. "14:30") or an ISO 8601 date-time (e.g. "2024-05-01T14:30:00+10:00").'
+    }
+
+    if (timestamp <= now) {
+      return '"' + until + '" has already passed.'
+    }
+
+    return timestamp
+  }
+
+  /**
+   * armUntil() sets the timer's duration to the time between now
+   * and the `until` target and shows the target time next to the
+   * countdown
+   *
+   * __NOTE:__ `say` fractions are based on the duration worked out
+   *           here. The timer is armed again when it's first started
+   *           (see startPlaying()) so they match the time actually
+   *           left. The time remaining is always read from the
+   *           clock.
+   *
+   * @param {string} until value of the `until` attribute
+   *
+   * @returns {boolean} TRUE if the target could be used.
+   *                FALSE otherwise
+   */
+  armUntil (until) {
+    const now = Date.now()
+    const target = this.parseUntil(until, now)
+
+    if (typeof target === 'string') {
+      console.error('talking-timer could not use `until` attribute. ' + target)
+      return false
+    }
+
+    this.untilTime = target
+    this.initialMilliseconds = target - now
+    this.initialValue = this.millisecondsToDurationObj(Math.round(this.initialMilliseconds / 1000) * 1000)
+    this.resetTimerValues()
+
+    this.untilText.innerHTML = 'until ' + this.untilToString(target, now)
+    this.untilText.classList.remove('hide')
+
+    return true
+  }
+
+  /**
+   * untilToString() (PURE) formats an `until` target for display
+   *
+   * @param {number} target timestamp for the `until` target
+   * @param {number} now    timestamp for the current time
+   *
+   * @returns {string} "HH:MM" (or "HH:MM:SS") with the date in front
+   *                if the target isn't today
+   */
+  untilToString (target, now) {
+    const date = new Date(target)
+    const pad = (num) => (num < 10) ? '0' + num : num.toString()
+    let output = pad(date.getHours()) + ':' + pad(date.getMinutes())
+
+    if (date.getSeconds() > 0) {
+      output += ':' + pad(date.getSeconds())
+    }
+
+    if (date.toDateString() !== new Date(now).toDateString()) {
+      output = date.toLocaleDateString() + ' ' + output
+    }
+
+    return output
+  }
+
+  /**
+   * timeObjToString() converts the current time remaining for
+   * the countdown into a human readable string
+   *
+   * @param {object} timeObj seconds, minutes and hours value
+   *                representing the timer remaining for the timer.
+   * @param {boolean} nonZeroOnly [default: TRUE] whether or not to
+   *                remove most significant fields if they're zero
+   *
+   * @returns {string} has the following structure "SS", "MM:SS",
+   *                "HH:MM:SS", "Dd HH:MM:SS" or "HH:MM:SS:CC"
+   *                ("CC" = hundredths of a second) depending on the
+   *                value of the `timeObj` attribute
+   */
+  timeObjToString (timeObj, nonZeroOnly) {
+    const tmpTimeObj = (typeof nonZeroOnly !== 'boolean' || nonZeroOnly === true) ? this.onlyGreaterThanZero(timeObj) : { ...timeObj }
+    const fields = Object.keys(tmpTimeObj)
+    const wholeTimeFields = fields.filter(field => field !== 'tenths' && field !== 'days')
+    const tenthsField = fields.filter(field => field === 'tenths')
+
+    // Days are shown separately (e.g. "2d 03:15:00")
+    const days = (typeof tmpTimeObj.days === 'number' && tmpTimeObj.days > 0) ? tmpTimeObj.days + 'd ' : ''
+
+    let output = ''
+    for (let a = 0; a < wholeTimeFields.length; a += 1) {
+      const field = wholeTimeFields[a]
+      const zero = (tmpTimeObj[field] < 10 && (output !== '' || days !== '')) ? '0' : ''
+      const colon = (output === '') ? '' : ':'
+      output += colon + zero + Math.round(tmpTimeObj[field])
+    }
+
+    if (tenthsField.length > 0) {
+      const colon = (output === '') ? '0.' : '.'
+      output += colon + '<span class="tenths">' + Math.round(tmpTimeObj.tenths) + '</span>'
+    } else if (output === '') {
+      output = '0'
+    }
+
+    return days + output
+  }
+
+  /**
+   * timeObjToMilliseconds() converts the values of a time object to
+   * milliseconds
+   *
+   * @param {object} timeObj
+   *
+   * @returns {number} number of milliseconds the time object represents
+   */
+  timeObjToMilliseconds (timeObj) {
+    const fields = ['tenths', 'seconds', 'minutes', 'hours', 'days']
+
+    let output = 0
+    for (let a = 0; a < fields.length; a += 1) {
+      const field = fields[a]
+      if (typeof timeObj[field] === 'number') {
+        output += timeObj[field] * this.multipliers[field]
+      }
+    }
+
+    return output
+  }
+
+  /**
+   * millisecondsToTimeObj() converts the number of milliseconds
+   * provided to a timeObj object
+   * @param {number} milliseconds
+   * @returns {object} time object with the form {days, hours, minutes, seconds, tenths}
+   */
+  millisecondsToTimeObj (milliseconds) {
+    const fields = ['days', 'hours', 'minutes', 'seconds', 'tenths']
+
+    let output = {
+      days: 0,
+      hours: 0,
+      minutes: 0,
+      seconds: 0,
+      tenths: 0
+    }
+    let remainder = milliseconds
+
+    for (var a = 0; a < fields.length; a += 1) {
+      const field = fields[a]
+      const tmp = this.getWholePart(remainder, this.multipliers[field])
+      remainder = tmp.part
+      output[field] = tmp.whole
+    }
+
+    return output
+  }
+
+  /**
+   * getWholePart() (PURE) converts the number of milliseconds
+   * provided into the whole number of units
+   *
+   * @param {number} input the number of millseconds to be converted
+   *                 into approprate time unit
+   *                 (e.g. hours, minutes, seconds, tenths of a second)
+   * @param {number} multiplier the value used to multiply (or divide
+   *                 in this case) the number of milliseconds to get
+   *                 the unit value
+   * @returns {object} two part object containing the "whole" value for
+   *                 the unit and the remaining number of milliseconds
+   *                 to be passed to the next unit
+   */
+  getWholePart (input, multiplier) {
+    const wholeVal = Math.floor(input / multiplier)
+    const partVal = input - (wholeVal * multiplier)
+    return {
+      whole: wholeVal,
+      part: partVal
+    }
+  }
+
+  /**
+   * resetTimerValues() resets all the timer values to their original
+   * state then clears the interval timers
+   *
+   * @returns {void}
+   */
+  resetTimerValues () {
+    this.currentValue = (this.config.mode === 'countup') ? { hours: 0, minutes: 0, seconds: 0 } : { ...this.initialValue }
+    this.remainingMilliseconds = this.initialMilliseconds
+    this.endTime = 0
+    this.startTime = 0
+    this.elapsedMilliseconds = 0
+    this.clearTimerInterval()
+
+    if (this.isOpenEnded()) {
+      this.workingElapsed = this.newElapsedSchedule(this.say, 'say', null)
+      this.workingElapsedCues = Object.keys(this.cueSay).map(sound => {
+        return this.newElapsedSchedule(this.cueSay[sound], sound, interval => {
+          return { offset: interval.offset, sound: sound, raw: interval.raw }
+        })
+      })
+    }
+
+    // Clone sayIntervals so you have something to use next time
+    this.workingIntervals = this.sayIntervals.map(interval => { return { ...interval } })
+    this.workingCues = this.cueIntervals.map(cue => { return { ...cue } })
+
+    if (this.segments.length > 0) {
+      // Sequences show the time for the current segment
+      this.currentValue = this.millisecondsToDurationObj(this.segments[0].duration)
+      this.segmentIndex = -1
+      this.segmentProgress.value = 0
+      this.showSegment(0)
+    }
+  }
+
+  /**
+   * clearTimerInterval() clears interval timers and resets the
+   * timer IDs to null
+   *
+   * @returns {void}
+   */
+  clearTimerInterval () {
+    window.clearInterval(this.progressTicker)
+
+    this.progressTicker = null
+  }
+
+  /**
+   * parseAttributes() parses the know HTML attributes available to
+   * <talking-timer>
+   *
+   * @returns {boolean} FALSE if the `time` attribute is missing or
+   *                invalid. TRUE otherwise
+   */
+  parseAttributes () {
+    const mode = this.getAttribute('mode')
+    const countUp = (mode === 'countup' || mode === 'stopwatch')
+
+    // Mode needs to be known before the time values are reset
+    this.config.mode = (countUp === true) ? 'countup' : 'countdown'
+
+    const segments = (countUp === true) ? [] : this.parseSegments()
+    if (segments === false) {
+      return false
+    }
+    this.segments = segments
+    this.segmentLabel.classList.toggle('hide', segments.length === 0)
+    this.segmentProgress.classList.toggle('hide', segments.length === 0)
+
+    this.untilTime = 0
+    this.untilText.classList.add('hide')
+
+    if (countUp === true) {
+      if (this.hasAttribute('limit')) {
+        if (this.validateTimeDuration(this.getAttribute('limit')) === false) {
+          console.error('talking-timer `limit` attribute must be a valid duration (e.g. "90", "01:30", "1m 30s" or "PT1M30S")')
+          return false
+        }
+        this.config.hasLimit = true
+      } else {
+        // Stopwatch with no end. It just counts up from zero until
+        // it's paused, reset or closed
+        this.initialMilliseconds = 0
+        this.initialValue = this.millisecondsToDurationObj(0)
+        this.config.hasLimit = false
+        this.resetTimerValues()
+      }
+      this.numbers.innerHTML = this.timeObjToString(this.currentValue)
+    } else if (segments.length > 0) {
+      // The duration of a sequence is the sum of its segments
+      const total = segments[segments.length - 1].end
+
+      this.initialMilliseconds = total
+      this.initialValue = this.millisecondsToDurationObj(total)
+      this.config.hasLimit = true
+      this.resetTimerValues()
+      this.numbers.innerHTML = this.timeObjToString(this.currentValue)
+    } else if (this.hasAttribute('until')) {
+      if (this.armUntil(this.getAttribute('until')) === false) {
+        return false
+      }
+      this.config.hasLimit = true
+      this.numbers.innerHTML = this.timeObjToString(this.onlyGreaterThanZero(this.initialValue))
+    } else if (this.hasAttribute('time') && this.validateTimeDuration(this.getAttribute('time'))) {
+      this.config.hasLimit = true
+      this.numbers.innerHTML = this.timeObjToString(this.onlyGreaterThanZero(this.initialValue))
+    } else {
+      // No timer... nothing to do.
+      console.error('talking-timer custom element requires a `time` attribute containing a valid duration (e.g. "90", "01:30", "1m 30s" or "PT1M30S")')
+      return false
+    }
+
+    // There's nothing to show progress towards if a stopwatch has
+    // no limit
+    this.progress.classList.toggle('hide', this.config.hasLimit === false)
+
+    const configKeys = Object.keys(this.config)
+    for (let a = 0; a < configKeys.length; a += 1) {
+      const key = configKeys[a]
+      const attr = key.toLocaleLowerCase()
+      const val = this.getAttribute(attr)
+      this.config[key] = (typeof val !== 'undefined' && val !== null)
+    }
+    this.config.mode = (countUp === true) ? 'countup' : 'countdown'
+    this.config.hasLimit = (countUp === false || this.hasAttribute('limit'))
+
+    this.caption.classList.toggle('hide', this.config.noCaptions)
+    this.vibrateTypes = this.parseVibrate(this.getAttribute('vibrate'))
+    this.parseChime()
+
+    // Language needs to be known before any messages are built
+    this.parseSpeechAttributes()
+    this.applyLocale()
+
+    const endText = this.getAttribute('end-message')
+    if (typeof endText !== 'undefined' && endText !== null) {
+      this.config.noSayEnd = false
+      this.endText = endText
+    } else if (segments.length > 0 && segments[segments.length - 1].endText !== '') {
+      // The last segment's end message is the end of the sequence
+      this.endText = segments[segments.length - 1].endText
+    } else {
+      this.endText = this.locale.endText
+    }
+
+    const startText = this.getAttribute('start-message')
+    if (typeof startText === 'string' && startText !== null && startText !== '') {
+      this.config.sayStart = true
+      this.startText = startText
+    } else {
+      this.startText = this.locale.startText
+    }
+
+    const priority = this.getAttribute('priority')
+    this.config.priority = (priority === 'time' || priority === 'order') ? priority : this.getGlobal('fraction', 'priority')
+
+    // Every segment adds its own problems so `sayErrors` is only
+    // emptied here
+    this.sayErrors = []
+    this.cueIntervals = this.parseCues(countUp)
+
+    let say = this.getAttribute('say')
+    if (typeof say !== 'string') {
+      say = (countUp === true) ? this.sayDefaultCountUp : this.sayDefault
+    }
+    this.say = say
+    if (segments.length > 0) {
+      this.sayIntervals = this.getSegmentIntervals(say)
+    } else {
+      // Stopwatches without a `limit` work out their announcements as
+      // they go (see newElapsedSchedule()). Their first hour is
+      // parsed here so problems are reported straight away
+      this.sayIntervals = this.parseRawIntervals(say, (this.isOpenEnded()) ? TalkingTimer.elapsedWindow : this.initialMilliseconds, {
+        countUp: countUp,
+        openEnded: (this.config.hasLimit === false)
+      })
+    }
+
+    if (this.config.overtime === true) {
+      const overtime = this.getAttribute('overtime')
+      this.overtimeSay = (overtime.trim() !== '') ? overtime : this.sayDefaultOvertime
+      this.parseRawIntervals(this.overtimeSay, TalkingTimer.elapsedWindow, { countUp: true, openEnded: true, attr: 'overtime' })
+    } else {
+      this.overtimeSay = ''
+    }
+
+    let selfDestructOverride = false
+
+    const autoDestruct = this.getAttribute('selfdestruct')
+    if (typeof autoDestruct === 'string') {
+      const isNum = new RegExp('^[1-9][0-9]*$')
+      if (isNum.test(autoDestruct)) {
+        const intAutoDestruct = Number.parseInt(autoDestruct, 10)
+        this.config.autoDestruct = (intAutoDestruct > 43200) ? 43200 : intAutoDestruct
+        this.config.autoDestruct *= 1000
+        selfDestructOverride = true
+      } else {
+        this.config.autoDestruct = 10000
+      }
+    } else {
+      this.config.autoDestruct = -1
+    }
+
+    if (this.config.noCloseBtn === true) {
+      if (selfDestructOverride === true) {
+        // If a number value for `selfdestruct` is set then it overrides
+        // `noclose`
+        this.config.noCloseBtn = false
+      } else {
+        // If `selfdestruct` is just boolean, then `noclose` overrides
+        // `selfdestruct`
+        this.config.autoDestruct = -1
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * parseSpeechAttributes() parses the attributes that control how
+   * announcements are spoken (`voice`, `lang`, `rate`, `pitch`,
+   * `volume` & `muted`)
+   *
+   * @returns {void}
+   */
+  parseSpeechAttributes () {
+    const voice = this.getAttribute('voice')
+    const lang = this.getAttribute('lang')
+
+    this.speechConfig.voice = (typeof voice === 'string' && voice.trim() !== '') ? voice.trim() : this.getGlobal('', 'voice')
+    this.speechConfig.lang = (typeof lang === 'string' && lang.trim() !== '') ? lang.trim() : this.getGlobal('', 'lang')
+    this.speechConfig.rate = this.parseNumberAttribute('rate', this.getGlobal(1, 'rate'), 0.1, 10)
+    this.speechConfig.pitch = this.parseNumberAttribute('pitch', this.getGlobal(1, 'pitch'), 0, 2)
+    this.speechConfig.volume = this.parseNumberAttribute('volume', this.getGlobal(1, 'volume'), 0, 1)
+    this.isMuted = this.hasAttribute('muted')
+    if (this.audioLevel !== null) {
+      // Set with the volume controls (maybe before the page was
+      // reloaded)
+      this.speechConfig.volume = this.audioLevel.volume
+      this.isMuted = this.audioLevel.muted
+    }
+    this.applyAudioLevel()
+    this.parseClips()
+
+    // Get the browser loading its voices so they're ready by the
+    // time there's something to say
+    TalkingTimer.loadVoices()
+  }
+
+  /**
+   * parseClips() sets up the pre-recorded clips played in place of
+   * speech from `talkingTimerExternalDefaults.clips` & the `clips`
+   * attribute (which wins where both have a clip for the same text)
+   *
+   * @returns {void}
+   */
+  parseClips () {
+    const raw = this.getAttribute('clips')
+    let clips = {}
+
+    if (typeof raw === 'string' && raw.trim() !== '') {
+      try {
+        clips = JSON.parse(raw)
+      } catch (e) {
+        console.error('talking-timer `clips` attribute must contain valid JSON. ' + e.message)
+        clips = {}
+      }
+      if (typeof clips !== 'object' || clips === null || Array.isArray(clips)) {
+        console.error('talking-timer `clips` attribute must be a JSON object of audio file URLs keyed by the text they say')
+        clips = {}
+      }
+    }
+
+    clips = { ...this.getGlobal({}, 'clips'), ...clips }
+
+    const json = JSON.stringify(clips)
+    if (json === this.clipsJSON) {
+      return
+    }
+
+    if (this.clipSpeaker !== null) {
+      this.cancelSpeech()
+    }
+    this.clipsJSON = json
+    this.clipSpeaker = (json !== '{}') ? new TalkingTimerAudioClipSpeaker(clips) : null
+  }
+
+  /**
+   * getClipDuration() gets how long the pre-recorded clip for some
+   * text takes to play
+   *
+   * @param {string} text text to be spoken
+   *
+   * @returns {number} number of milliseconds. -1 if there's no clip
+   *                or its duration isn't known yet
+   */
+  getClipDuration (text) {
+    return (this.clipSpeaker !== null) ? this.clipSpeaker.getDuration(text) : -1
+  }
+
+  /**
+   * applyLocale() picks the locale pack for the timer's language and
+   * sets up the text used to build spoken messages
+   *
+   * `talkingTimerExternalDefaults` `suffixes`, `endText` &
+   * `startText` override the English locale pack
+   *
+   * @returns {void}
+   */
+  applyLocale () {
+    const locale = TalkingTimer.getLocale(this.getLang())
+
+    if (locale.lang === 'en') {
+      this.locale = {
+        ...locale,
+        startText: this.getGlobal(locale.startText, 'startText'),
+        endText: this.getGlobal(locale.endText, 'endText')
+      }
+      this.suffixes = {
+        first: this.getGlobal(locale.suffixes.first, 'suffixes', 'first'),
+        last: this.getGlobal(locale.suffixes.last, 'suffixes', 'last'),
+        half: this.getGlobal(locale.suffixes.half, 'suffixes', 'half'),
+        over: this.getGlobal(locale.suffixes.over, 'suffixes', 'over')
+      }
+    } else {
+      this.locale = locale
+      this.suffixes = { ...locale.suffixes }
+    }
+  }
+
+  /**
+   * parseNumberAttribute() gets the numeric value of an attribute,
+   * making sure it's within the allowed range
+   *
+   * @param {string} attr name of the attribute
+   * @param {number} defaultValue value used if the attribute is
+   *                 missing or invalid
+   * @param {number} min lowest allowed value
+   * @param {number} max highest allowed value
+   *
+   * @returns {number}
+   */
+  parseNumberAttribute (attr, defaultValue, min, max) {
+    const raw = this.getAttribute(attr)
+
+    if (raw === null || raw.trim() === '') {
+      return defaultValue
+    }
+
+    const value = Number.parseFloat(raw)
+
+    if (isNaN(value) || !/^\s*[0-9]*\.?[0-9]+\s*$/.test(raw)) {
+      console.warn('talking-timer `' + attr + '` attribute must be a number between ' + min + ' and ' + max + '. "' + raw + '" was ignored')
+      return defaultValue
+    }
+
+    if (value < min || value > max) {
+      console.warn('talking-timer `' + attr + '` attribute must be between ' + min + ' and ' + max + '. ' + value + ' was changed to ' + ((value < min) ? min : max))
+      return (value < min) ? min : max
+    }
+
+    return value
+  }
+
+  /**
+   * getGlobal() checks to see if `talkingTimerExternalDefaults`
+   * object exists then checks to see if it has the `prop` property
+   * and (if defined) the `subProp` exists on the `prop`. If the type
+   * of the prop/subProp matches the default value supplied, then it
+   * is returned. Otherwise the supplied default is returned.
+   *
+   * @param {any} defaultValue value to be used as default
+   * @param {string} prop property of `talkingTimerExternalDefaults`
+   *                 to be tested.
+   * @param {string} subProp property of `talkingTimerExternalDefaults[prop]`
+   *                 to be tested.
+   *
+   * @returns {any} a value with the same type as `defaultValue`
+   */
+  getGlobal (defaultValue, prop, subProp) {
+    if (typeof talkingTimerExternalDefaults !== 'undefined' && typeof prop !== 'undefined') {
+      const propType = typeof talkingTimerExternalDefaults[prop]
+      const defaultType = typeof defaultValue
+      if (propType !== 'undefined') {
+        if (typeof subProp !== 'undefined') {
+          const subPropType = typeof talkingTimerExternalDefaults[prop][subProp]
+          return (subPropType !== 'undefined' && defaultType === subPropType) ? talkingTimerExternalDefaults[prop][subProp] : defaultValue
+        } else if (propType === defaultType) {
+          return talkingTimerExternalDefaults[prop]
+        }
+      }
+    }
+    return defaultValue
+  }
+
+  /**
+   * dispatch() fires a `talkingtimer:[type]` event so code outside
+   * the component can react to what the timer is doing.
+   *
+   * Events bubble and are composed so they can be caught outside
+   * of any shadow DOM the timer lives in.
+   *
+   * @param {string} type name of the event (without the
+   *                 `talkingtimer:` prefix)
+   * @param {object} detail (optional) extra values to be added to
+   *                 the event's detail
+   *
+   * @returns {boolean} FALSE if the event was cancelled.
+   *                 TRUE otherwise
+   */
+  dispatch (type, detail) {
+    const remaining = this.remaining
+
+    return this.dispatchEvent(new CustomEvent('talkingtimer:' + type, {
+      bubbles: true,
+      composed: true,
+      detail: {
+        remaining: remaining,
+        elapsed: this.elapsed,
+        ...detail
+      }
+    }))
+  }
+
+  //  END:  utility methods
+  // ======================================================
+  // START: raw interval parser
+
+  /**
+   * addSayError() remembers a `say` token that couldn't be understood
+   * (once, even if it's used by more than one segment)
+   *
+   * @param {string} token the token that couldn't be understood
+   * @param {string} attr name of the attribute the token came from
+   *
+   * @returns {void}
+   */
+  addSayError (token, attr) {
+    if (attr === 'say' && this.sayErrors.indexOf(token) === -1) {
+      this.sayErrors.push(token)
+    }
+  }
+
+  /**
+   * this.parseRawIntervals() builds an array of objects which in turn can
+   * be used to build promises that trigger speach events.
+   *
+   * `rawIntervals` is a white space separated list of tokens. As well
+   * as time intervals (e.g. `last30s`) & fractions (e.g. `1/3`,
+   * `every1/12`), a token can be:
+   * * a percentage of the duration (e.g. `25%`, `every10%`)
+   * * limited to a range (e.g. `every30s-from5m-to1m`). `from` & `to`
+   *   are time remaining (or time elapsed for `first` intervals)
+   * * an exclusion (e.g. `!last15`) which removes announcements
+   *   made at the same time by other tokens
+   *
+   * Tokens that can't be understood are reported. Those from `say`
+   * are added to `sayErrors`
+   *
+   * @param {string} rawIntervals
+   * @param {number} durationMilli
+   * @param {object|boolean} options (optional) if boolean, same as
+   *                 `{ omit: options }`. Otherwise may contain:
+   *                 * `omit` {boolean} treat every token as an
+   *                   exclusion
+   *                 * `countUp` {boolean} intervals without `first`
+   *                   or `last` are relative to the start of the
+   *                   timer (i.e. announce time elapsed)
+   *                 * `openEnded` {boolean} the timer has no real
+   *                   end so `last` and fraction intervals are
+   *                   meaningless and are skipped
+   *                 * `attr` {string} name of the attribute the
+   *                   tokens came from (for warnings. Default "say")
+   *                 * `quiet` {boolean} don't report tokens that
+   *                   can't be used (they've been reported already)
+   *
+   * Any interval can have its own message instead of the generated
+   * one (e.g. `last2m="Start wrapping up"`). Custom messages take
+   * priority over generated ones (see fillPlaceholders())
+   *
+   * @returns {array}
+   */
+  parseRawIntervals (rawIntervals, durationMilli, options) {
+    const regex = new RegExp('^(!)?(all|every)?[_-]?(?:([0-9]+)[_-]?(?=(?:la|fir)st))?((?:la|fir)st)?[_-]?(?:([1-9][0-9]*)[_-]?([smh]?)|([1-9])?[_-]?1\\/([2-9]|[1-9][0-9]+)|([0-9]+(?:\\.[0-9]+)?)%)(?:[_-]?from[_-]?([0-9]+)([smh]?))?(?:[_-]?to[_-]?([0-9]+)([smh]?))?(?:=(?:"([^"]*)"|\'([^\']*)\'))?$', 'i')
+    const units = { s: 1000, m: 60000, h: 3600000 }
+    let timeIntervals = []
+    let fractionIntervals = []
+    let orderIntervals = []
+    let customIntervals = []
+    let excluded = []
+
+    if (typeof rawIntervals !== 'string' || rawIntervals === '') {
+      return []
+    }
+    const opts = (typeof options === 'boolean') ? { omit: options } : { ...options }
+    const omit = (opts.omit === true)
+    const countUp = (opts.countUp === true)
+    const openEnded = (opts.openEnded === true)
+    const attr = (typeof opts.attr === 'string') ? opts.attr : 'say'
+    const quiet = (opts.quiet === true)
+    // Custom messages may contain spaces so keep quoted text together
+    const tokens = rawIntervals.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || []
+
+    for (let t = 0; t < tokens.length; t += 1) {
+      const matches = regex.exec(tokens[t])
+
+      if (matches === null) {
+        if (quiet === false) {
+          console.warn('talking-timer could not understand "' + tokens[t] + '" in `' + attr + '`. It was ignored')
+          this.addSayError(tokens[t], attr)
+        }
+        continue
+      }
+
+      const allEvery = (typeof matches[2] !== 'undefined') ? matches[2].toLocaleLowerCase() : ''
+      const firstLast = (typeof matches[4] !== 'undefined') ? matches[4].toLocaleLowerCase() : ''
+
+      let interval = {
+        all: (allEvery === 'all' || firstLast === ''),
+        every: (allEvery === 'every' && firstLast !== ''),
+        multiplier: (typeof matches[3] !== 'undefined') ? Number.parseInt(matches[3], 10) : 1,
+        relative: firstLast,
+        exclude: (omit === true || matches[1] === '!'),
+        isFraction: false,
+        isPercent: false,
+        raw: matches[0].trim()
+      }
+      const custom = (typeof matches[14] === 'string') ? matches[14] : (typeof matches[15] === 'string') ? matches[15] : null
+      let tmpIntervals = []
+
+      if (interval.every === true) {
+        interval.all = false
+        interval.multiplier = 0
+      } else if (interval.all === true) {
+        interval.multiplier = 0
+      }
+
+      if (countUp === true && interval.relative === '') {
+        // Count up timers announce the time elapsed so intervals
+        // without `first` or `last` are counted from the start
+        interval.relative = 'first'
+        if (interval.all === true) {
+          interval.all = false
+          interval.every = true
+        }
+      }
+
+      if (openEnded === true && (interval.relative === 'last' || typeof matches[8] !== 'undefined' || typeof matches[9] !== 'undefined')) {
+        if (quiet === false) {
+          console.warn('talking-timer "' + interval.raw + '" was ignored because a stopwatch without a `limit` has no end to count back from')
+        }
+        continue
+      }
+
+      if (typeof matches[8] !== 'undefined') {
+        // item is a fraction
+        const denominator = Number.parseInt(matches[8], 10)
+
+        interval.isFraction = true
+        interval.denominator = denominator
+
+        if (interval.multiplier > (denominator - 1)) {
+          interval.multiplier = (denominator - 1)
+        }
+
+        tmpIntervals = this.getFractionOffsetAndMessage(interval, durationMilli, interval.raw)
+      } else if (typeof matches[9] !== 'undefined') {
+        // item is a percentage
+        interval.isPercent = true
+        interval.percent = Number.parseFloat(matches[9])
+
+        if (interval.percent <= 0 || interval.percent >= 100) {
+          if (quiet === false) {
+            console.warn('talking-timer could not understand "' + tokens[t] + '" in `' + attr + '` (percentages must be between 0 & 100). It was ignored')
+            this.addSayError(tokens[t], attr)
+          }
+          continue
+        }
+
+        tmpIntervals = this.getPercentOffsetAndMessage(interval, durationMilli)
+      } else {
+        // item is a number
+        matches[5] = Number.parseInt(matches[5], 10)
+        interval.unit = (typeof matches[6] === 'string' && matches[6] !== '') ? matches[6].toLocaleLowerCase() : 's'
+        interval.time = matches[5]
+
+        tmpIntervals = this.getTimeOffsetAndMessage(interval, durationMilli, interval.raw)
+      }
+
+      if (typeof matches[10] !== 'undefined' || typeof matches[12] !== 'undefined') {
+        // Only keep offsets within the range. `from` & `to` are
+        // measured the same way as the interval (i.e. time elapsed
+        // for `first` & time remaining for everything else)
+        const toOffset = (time, unit) => {
+          const milliseconds = Number.parseInt(time, 10) * units[(unit !== '') ? unit.toLocaleLowerCase() : 's']
+          return (interval.relative === 'first') ? durationMilli - milliseconds : milliseconds
+        }
+        const from = (typeof matches[10] !== 'undefined') ? toOffset(matches[10], matches[11]) : durationMilli
+        const to = (typeof matches[12] !== 'undefined') ? toOffset(matches[12], matches[13]) : 0
+        const min = Math.min(from, to)
+        const max = Math.max(from, to)
+
+        tmpIntervals = tmpIntervals.filter(item => (item.offset >= min && item.offset <= max))
+      }
+
+      if (interval.exclude === true) {
+        excluded = excluded.concat(tmpIntervals.map(item => Math.round(item.offset / 100)))
+      } else if (custom !== null) {
+        // Keep the offsets but replace the generated message
+        customIntervals = customIntervals.concat(tmpIntervals.map(item => {
+          return { ...item, message: this.fillPlaceholders(custom, item.offset, durationMilli) }
+        }))
+      } else if (this.config.priority === 'order') {
+        orderIntervals = orderIntervals.concat(tmpIntervals)
+      } else if (interval.isFraction === true || interval.isPercent === true) {
+        fractionIntervals = fractionIntervals.concat(tmpIntervals)
+      } else {
+        timeIntervals = timeIntervals.concat(tmpIntervals)
+      }
+    }
+
+    let output = (this.config.priority === 'order') ? orderIntervals : (this.config.priority === 'time') ? timeIntervals.concat(fractionIntervals) : fractionIntervals.concat(timeIntervals)
+    output = customIntervals.concat(output)
+
+    if (excluded.length > 0) {
+      // Offsets are compared to the nearest tenth of a second
+      output = output.filter(item => excluded.indexOf(Math.round(item.offset / 100)) === -1)
+    }
+
+    if (countUp === true && openEnded === true) {
+      // Something with no end only has announcements counted from the
+      // start so they're kept apart based on the time elapsed
+      const flip = (item) => { return { ...item, offset: durationMilli - item.offset } }
+      return this.sortOffsets(this.filterOffsets(output.map(flip), durationMilli).map(flip))
+    }
+
+    return this.sortOffsets(this.filterOffsets(output, durationMilli))
+  }
+
+  /**
+   * newOvertimeSchedule() gets the announcements made once a timer
+   * goes past zero (e.g. "1 minute over.")
+   *
+   * Uses the same pattern as the `say` attribute but everything is
+   * counted from zero (`last` & fraction intervals are ignored
+   * because overtime has no end)
+   *
+   * @returns {object} schedule (see newElapsedSchedule()) where
+   *                 `offset` is the number of milliseconds over time
+   */
+  newOvertimeSchedule () {
+    return this.newElapsedSchedule(this.overtimeSay, 'overtime', interval => {
+      return {
+        offset: interval.offset,
+        message: this.makeTimeMessage(interval.offset, this.suffixes.over, true),
+        raw: interval.raw
+      }
+    })
+  }
+
+  /**
+   * newElapsedSchedule() creates a list of announcements for
+   * something with no end (a stopwatch without a `limit` or
+   * overtime).
+   *
+   * The list is worked out a window at a time as it's needed (see
+   * extendElapsed()) so it can keep going for as long as the timer
+   * does.
+   *
+   * @param {string} raw `say` tokens
+   * @param {string} attr name of the attribute the tokens came from
+   * @param {function|null} make (optional) converts each interval
+   *                 into the item stored in the schedule
+   *
+   * @returns {object} with:
+   *                 * `raw` & `attr` as passed in
+   *                 * `upTo` {number} milliseconds worked out so far
+   *                 * `items` {array} `{offset, message, raw}`
+   *                   objects (earliest first) where `offset` is
+   *                   milliseconds from the start
+   */
+  newElapsedSchedule (raw, attr, make) {
+    return {
+      raw: (typeof raw === 'string') ? raw.trim() : '',
+      attr: attr,
+      make: (typeof make === 'function') ? make : null,
+      upTo: 0,
+      items: []
+    }
+  }
+
+  /**
+   * extendElapsed() makes sure a schedule has been worked out to at
+   * least a minute past `elapsed`
+   *
+   * Each window is as long as everything before it (with a minimum
+   * of an hour) so very long runs don't need to be re-parsed often.
+   *
+   * @param {object} schedule see newElapsedSchedule()
+   * @param {number} elapsed milliseconds from the start
+   *
+   * @returns {void}
+   */
+  extendElapsed (schedule, elapsed) {
+    if (schedule.raw === '') {
+      return
+    }
+
+    while (schedule.upTo <= elapsed + 60000) {
+      const from = schedule.upTo
+      const upTo = from + Math.max(from, TalkingTimer.elapsedWindow)
+      // Problems were reported when the tokens were first parsed
+      const intervals = this.parseRawIntervals(schedule.raw, upTo, { countUp: true, openEnded: true, attr: schedule.attr, quiet: true })
+      let items = intervals.map(interval => {
+        return { ...interval, offset: upTo - interval.offset }
+      }).filter(item => item.offset >= from)
+
+      items.sort((x, y) => x.offset - y.offset)
+      if (schedule.make !== null) {
+        items = items.map(schedule.make)
+      }
+
+      schedule.items = schedule.items.concat(items)
+      schedule.upTo = upTo
+    }
+  }
+
+  /**
+   * takeElapsed() removes the items that are due from a schedule
+   *
+   * @param {object|null} schedule see newElapsedSchedule()
+   * @param {number} elapsed milliseconds from the start
+   *
+   * @returns {array} items due at or before `elapsed` (earliest first)
+   */
+  takeElapsed (schedule, elapsed) {
+    let a = 0
+
+    if (schedule === null) {
+      return []
+    }
+
+    this.extendElapsed(schedule, elapsed)
+    while (a < schedule.items.length && schedule.items[a].offset <= elapsed) {
+      a += 1
+    }
+
+    return schedule.items.splice(0, a)
+  }
+
+  /**
+   * skipElapsed() drops the items in a schedule that should already
+   * have happened
+   *
+   * @param {object|null} schedule see newElapsedSchedule()
+   * @param {number} elapsed milliseconds from the start
+   *
+   * @returns {void}
+   */
+  skipElapsed (schedule, elapsed) {
+    this.takeElapsed(schedule, elapsed)
+  }
+
+  /**
+   * skipElapsedAll() drops the announcements, beeps & ticks a
+   * stopwatch without a `limit` should already have made
+   *
+   * @param {number} elapsed milliseconds from the start
+   *
+   * @returns {void}
+   */
+  skipElapsedAll (elapsed) {
+    this.skipElapsed(this.workingElapsed, elapsed)
+    for (let a = 0; a < this.workingElapsedCues.length; a += 1) {
+      this.skipElapsed(this.workingElapsedCues[a], elapsed)
+    }
+  }
+
+  /**
+   * fillPlaceholders() replaces the placeholders in a custom interval
+   * message:
+   * * `{remaining}` - time remaining (e.g. "2 minutes")
+   * * `{elapsed}`   - time elapsed (e.g. "8 minutes")
+   * * `{label}`     - the timer's label (see getLabel())
+   *
+   * @param {string} message custom message
+   * @param {number} offset number of milliseconds before the end of
+   *                 the timer the message is spoken
+   * @param {number} duration total number of milliseconds the timer
+   *                 runs for
+   *
+   * @returns {string}
+   */
+  fillPlaceholders (message, offset, duration) {
+    return message.replace(/\{(remaining|elapsed|label)\}/ig, (match, placeholder) => {
+      switch (placeholder.toLowerCase()) {
+        case 'remaining':
+          return this.makeTimeMessage(offset, '', true)
+        case 'elapsed':
+          return this.makeTimeMessage(duration - offset, '', true)
+        default:
+          return this.getLabel()
+      }
+    })
+  }
+
+  /**
+   * this.getFractionOffsetAndMessage() returns a list of time offset
+   * objects based on fractions of total duration of time.
+   *
+   * Used for announcing progress in timer
+   *
+   * @param {object} intervalObj interval object parsed from speak
+   *                 attribute
+   * @param {number} milliseconds number of milliseconds remaining
+   *                 for timer
+   *
+   * @returns {array} list of interval objects containing offset &
+   *                 message properties used for announcing intervals
+   */
+  getFractionOffsetAndMessage (intervalObj, milliseconds) {
+    let interval = 0
+    const half = milliseconds / 2
+
+    interval = milliseconds / intervalObj.denominator
+    if (intervalObj.denominator === 2) {
+      return [{ message: this.suffixes.half, offset: half, raw: intervalObj.raw }]
+    }
+
+    let offsets = []
+
+    const count = (intervalObj.multiplier === 0 || intervalObj.multiplier >= intervalObj.denominator) ? intervalObj.denominator : intervalObj.multiplier
+
+    if (intervalObj.relative !== '') {
+      const suffix = (intervalObj.relative === 'first') ? this.suffixes.first : this.suffixes.last
+      const minus = (intervalObj.relative === 'first') ? milliseconds : 0
+
+      for (let a = 1; a <= count; a += 1) {
+        // Same reduction as makeFractionMessage() (e.g. 2/6 is 1/3)
+        const numerator = (Number.isInteger(intervalObj.denominator / a)) ? 1 : a
+        offsets.push({
+          offset: this.posMinus(minus, (interval * a)),
+          message: this.addSuffix(this.makeFractionMessage(a, intervalObj.denominator), suffix, numerator),
+          raw: intervalObj.raw
+        })
+      }
+    } else {
+      for (let a = 1; a <= (count / 2); a += 1) {
+        const message = this.makeFractionMessage(a, intervalObj.denominator)
+        const numerator = (Number.isInteger(intervalObj.denominator / a)) ? 1 : a
+        offsets.push({
+          offset: (milliseconds - (interval * a)),
+          message: this.addSuffix(message, this.suffixes.last, numerator),
+          raw: intervalObj.raw
+        },
+        {
+          offset: (interval * a),
+          message: this.addSuffix(message, this.suffixes.first, numerator),
+          raw: intervalObj.raw
+        })
+      }
+    }
+
+    const filtered = offsets.map(item => {
+      if (this.tooClose(item.offset, half)) {
+        return {
+          offset: half,
+          message: this.suffixes.half,
+          raw: item.raw
+        }
+      } else {
+        return item
+      }
+    })
+
+    return filtered
+  }
+
+  /**
+   * getPercentOffsetAndMessage() returns a list of offset objects
+   * for a percentage of the total duration (e.g. "25% to go.")
+   *
+   * Works the same way as fractions: without `first` or `last`,
+   * announcements are made relative to the nearest end of the timer
+   *
+   * @param {object} intervalObj interval object parsed from speak
+   *                 attribute
+   * @param {number} milliseconds total duration of the timer
+   *
+   * @returns {array} list of interval objects containing offset &
+   *                 message properties used for announcing intervals
+   */
+  getPercentOffsetAndMessage (intervalObj, milliseconds) {
+    const step = intervalObj.percent
+    const max = (intervalObj.relative === '') ? 50 : 100
+    let count = Math.floor(max / step)
+    let offsets = []
+
+    if (intervalObj.relative !== '' && intervalObj.all === false && intervalObj.every === false) {
+      count = Math.min(count, intervalObj.multiplier)
+    }
+    if (intervalObj.relative !== '' && step * count >= 100) {
+      // 100% is the start (or end) of the timer
+      count -= 1
+    }
+
+    for (let a = 1; a <= count; a += 1) {
+      // Avoid floating point noise (e.g. "30.000000000000004%")
+      const percent = Math.round(step * a * 100) / 100
+      const offset = milliseconds * percent / 100
+
+      if (percent === 50) {
+        offsets.push({ offset: milliseconds / 2, message: this.suffixes.half, raw: intervalObj.raw })
+        continue
+      }
+
+      if (intervalObj.relative !== 'first') {
+        offsets.push({
+          offset: offset,
+          message: this.addSuffix(percent + '%', this.suffixes.last, percent),
+          raw: intervalObj.raw
+        })
+      }
+      if (intervalObj.relative !== 'last') {
+        offsets.push({
+          offset: milliseconds - offset,
+          message: this.addSuffix(percent + '%', this.suffixes.first, percent),
+          raw: intervalObj.raw
+        })
+      }
+    }
+
+    return offsets
+  }
+
+  /**
+   * this.getTimeOffsetAndMessage() returns a list of time offset
+   * objects for the given time interval.
+   *
+   * Used for announcing progress in timer
+   *
+   * @param {object} intervalObj interval object parsed from speak
+   *                 attribute
+   * @param {number} milliseconds number of milliseconds remaining
+   *                 for timer
+   *
+   * @returns {array} list of interval objects containing offset &
+   *                 message properties used for announcing intervals
+   */
+  getTimeOffsetAndMessage (intervalObj, milliseconds, raw) {
+    const suffix = (intervalObj.relative === 'first') ? this.suffixes.first : this.suffixes.last
+    const unit = (intervalObj.unit === 'h') ? 3600000 : (intervalObj.unit === 'm') ? 60000 : 1000
+    let offsets = []
+
+    if ((intervalObj.all === true || intervalObj.every === true) || intervalObj.multiplier > 1) {
+      if ((intervalObj.all === true || intervalObj.every === true) && intervalObj.multiplier <= 1) {
+        if (intervalObj.relative === '') {
+          // not relative so announce time relative to nearest edge
+          // of time (e.g. 1 minute to go & 1 minute gone)
+          const half = milliseconds / 2
+          const interval = intervalObj.time * unit
+          for (let offset = interval; offset <= half; offset += interval) {
+            offsets.push({
+              offset: offset,
+              message: this.makeTimeMessage(offset, this.suffixes.last),
+              raw: intervalObj.raw
+            }, {
+              offset: milliseconds - offset,
+              message: this.makeTimeMessage(offset, this.suffixes.first),
+              raw: intervalObj.raw
+            })
+          }
+        } else {
+          // interval relative === false
+          // i.e. relative = "first" or "last"
+          let interval = 0
+          let count = 0
+          switch (intervalObj.unit) {
+            case 'm':
+              interval = 60000
+              break
+            case 'h':
+              interval = 3600000
+              break
+            case 's':
+            default:
+              interval = 1000
+          }
+
+          if (intervalObj.every === true) {
+            interval *= intervalObj.time
+            // Only whole intervals fit in the timer
+            count = Math.floor(milliseconds / interval)
+          } else {
+            count = intervalObj.time
+          }
+          const modifier = (intervalObj.relative !== 'first') ? 0 : milliseconds
+          const forceSufix = (intervalObj.relative === 'first')
+          for (let a = count; a > 0; a -= 1) {
+            const offset = a * interval
+            offsets.push({
+              offset: this.posMinus(modifier, offset),
+              message: this.makeTimeMessage(offset, suffix, forceSufix),
+              raw: intervalObj.raw
+            })
+          }
+        }
+      } else if (intervalObj.multiplier > 1) {
+        // e.g. `3last15` = 45, 30 & 15 seconds to go
+        const interval = intervalObj.time * unit
+        const modifier = (intervalObj.relative === 'last') ? 0 : milliseconds
+
+        for (let a = 1; a <= intervalObj.multiplier; a += 1) {
+          const offset = a * interval
+          offsets.push({
+            offset: this.posMinus(modifier, offset),
+            message: this.makeTimeMessage(offset, suffix),
+            raw: intervalObj.raw
+          })
+        }
+      }
+    } else {
+      const interval = intervalObj.time * unit
+      const offset = (intervalObj.relative !== 'first') ? interval : milliseconds - interval
+      offsets = [{
+        offset: offset,
+        message: this.makeTimeMessage(interval, suffix),
+        raw: raw
+      }]
+    }
+    return offsets
+  }
+
+  /**
+   * this.tooClose() checks whether the current value is within 5 seconds
+   * of the previous value
+   *
+   * @param {number} current value to be tested
+   * @param {number} previous value to be tested against
+   *
+   * @returns {boolean} TRUE if within 5 seconds of previous value
+   */
+  tooClose (current, previous) {
+    return (current > (previous - 5000) && current < (previous + 5000))
+  }
+
+  /**
+   * this.tooCloseAny() checks a given offset value against previously seen
+   * offsets
+   *
+   * @param {number} offset
+   * @param {array} previous list of previously seen numbers
+   *
+   * @returns {boolean} TRUE if offset was too close to a previously
+   *                seen offset value. FALSE otherwise
+   */
+  tooCloseAny (offset, previous) {
+    for (let a = 0; a < previous.length; a += 1) {
+      if (this.tooClose(offset, previous[a]) === true) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * this.posMinus() ensures that the value of a subtraction is always
+   * positive (or zero)
+   *
+   * @param {number} a
+   * @param {number} b
+   *
+   * @return {number} positive value of a - b
+   */
+  posMinus (a, b) {
+    if (a > b) {
+      return a - b
+    } else {
+      return b - a
+    }
+  }
+
+  /**
+   * this.makeTimeMessage() returns a string that can be passed to the text
+   * to web speech API
+   *
+   * @param {number} offset milliseconds
+   * @param {string|array} suffix what to add to the time (see
+   *                 addSuffix())
+   * @param {boolean} forceSufix whether or not to add the suffix to
+   *                 times less than 20 seconds
+   *
+   * @returns {string} textual representation of offset
+   */
+  makeTimeMessage (offset, suffix, forceSufix) {
+    const units = [
+      { name: 'day', milliseconds: 86400000 },
+      { name: 'hour', milliseconds: 3600000 },
+      { name: 'minute', milliseconds: 60000 }
+    ]
+    let working = offset
+    let parts = []
+    let count = 0
 
-        --playpause-color: #fff;
-        --playpause-size: 1.25em;
-        --playpause-weight: bold;
-        --playpause-background: #050;
-        --playpause-border-width: 0.05em;
-        --playpause-border-color: #040;
-        --playpause-hover-weight: bold;
-        --playpause-hover-color: #fff;
-        --playpause-hover-background: #030;
-        --playpause-hover-border-width: #fff;
-        --playpause-hover-border-color: #020;
+    forceSufix = (typeof forceSufix !== 'boolean') ? false : forceSufix
 
-        --progress-background: #fff;
-        --progress-border-color: #ccc;
-        --progress-border-width: 0.05em;
-        --progress-color: #F00;
-        --progress-height: 2em;
-        --progress-left: -0.05em;
-        --progress-right: auto;
+    if (working < 20000) {
+      const seconds = Math.round(working / 1000)
 
-        --smallbtn-color: inherit;
-        --smallbtn-background: transparent;
-        --smallbtn-border-width: 0;
-        --smallbtn-border-style: none;
-        --smallbtn-border-color: transparent;
-        --smallbtn-size: 2em;
-        --smallbtn-left: 2;
-        --smallbtn-right: 2;
-        --smallbtn-position: absolute;
-        --smallbtn-padding: 0.2em 0.25em;
-        --smallbtn-weight: normal;
-        --smallbtn-hover-color: #c00;
-        --smallbtn-hover-weight: bold;
-        --smallbtn-hover-background: transparent;
-        --smallbtn-hover-border-width: 0;
-        --smallbtn-hover-border-style: none;
-        --smallbtn-hover-border-color: transparent;
+      if (forceSufix) {
+        return this.addSuffix(this.makeUnitMessage(seconds, 'second'), suffix, seconds)
+      }
+      // Do not append unit if 10 seconds or less
+      return (working > 10000) ? this.makeUnitMessage(seconds, 'second') : seconds.toString()
+    }
+
+    for (let a = 0; a < units.length; a += 1) {
+      if (working >= units[a].milliseconds) {
+        const value = Math.floor(working / units[a].milliseconds)
+        working -= value * units[a].milliseconds
+        parts.push(this.makeUnitMessage(value, units[a].name))
+        count = value
+      }
+    }
+
+    working = Math.round(working / 1000)
+    if (working > 0) {
+      parts.push(this.makeUnitMessage(working, 'second'))
+      count = working
+    }
+
+    if (parts.length > 1) {
+      // e.g. "1 minute, 30 seconds" is plural
+      count = 2
+    }
+
+    const last = parts.pop()
+    const output = (parts.length > 0) ? parts.join(this.locale.separator) + this.locale.lastSeparator + last : last
+
+    return this.addSuffix(output, suffix, count)
+  }
+
+  /**
+   * makeUnitMessage() combines a number with the appropriate (singular
+   * or plural) unit word for the timer's locale
+   *
+   * @param {number} value number of units
+   * @param {string} unit "day", "hour", "minute" or "second"
+   *
+   * @returns {string} e.g. "1 minute" or "15 seconds"
+   */
+  makeUnitMessage (value, unit) {
+    return value.toString() + ' ' + this.locale.units[unit][this.locale.plural(value)]
+  }
+
+  /**
+   * addSuffix() adds a suffix (e.g. " to go.") to a spoken time or
+   * fraction
+   *
+   * If the suffix contains "{time}", the time replaces "{time}"
+   * instead (e.g. "Il reste {time}.")
+   *
+   * @param {string} time the time (or fraction) to be spoken
+   * @param {string|array} suffix either a string or a list of two
+   *                 strings ([singular, plural])
+   * @param {number} count the number the suffix needs to agree with
+   *
+   * @returns {string}
+   */
+  addSuffix (time, suffix, count) {
+    const _suffix = (Array.isArray(suffix)) ? suffix[this.locale.plural(count)] : suffix
+
+    if (typeof _suffix !== 'string') {
+      return time
+    }
+
+    return (_suffix.indexOf('{time}') > -1) ? _suffix.replace('{time}', time) : time + _suffix
+  }
+
+  /**
+   * this.makeFractionMessage() returns a string that can be passed to the
+   * text to web speech API
+   *
+   * @param {number} numerator for fraction
+   * @param {number} denominator for fraction
+   *
+   * @returns {string} textual representation of the fraction offset
+   */
+  makeFractionMessage (numerator, denominator) {
+    // reduce the denominator to its
+    const newDenominator = (Number.isInteger(denominator / numerator)) ? (denominator / numerator) : denominator
+
+    if (newDenominator === 2) {
+      return this.suffixes.half
+    }
+
+    const newNumerator = (numerator / (denominator / newDenominator))
+    const fraction = (typeof this.locale.fractions[newDenominator] !== 'undefined') ? this.locale.fractions[newDenominator] : this.locale.ordinal(newDenominator)
+
+    return newNumerator + ' ' + fraction[this.locale.plural(newNumerator)]
+  }
+
+  /**
+   * this.sortOffsets() sorts a list of offset objects by their offset value
+   *
+   * @param {array} input list of offset objects to be sorted
+   *
+   * @returns {array} items are sorted by offset
+   */
+  sortOffsets (input) {
+    return input.sort((a, b) => {
+      if (a.offset < b.offset) {
+        return 1
+      } else if (a.offset > b.offset) {
+        return -1
+      } else {
+        return 0
+      }
+    })
+  }
+
+  /**
+   * this.filterOffsets() removes duplicates an items that are too close
+   * to preceeding items
+   *
+   * @param {array} offsets list of offset objects
+   *
+   * @returns {array} list of offset objects excluding duplicates and
+   *                closely occuring items
+   */
+  filterOffsets (offsets, max) {
+    // Offsets already seen are grouped into five second buckets so
+    // each offset only needs to be compared to its neighbours
+    // (long running stopwatches can have thousands of offsets)
+    let found = {}
+    return offsets.filter(item => {
+      const bucket = Math.floor(item.offset / 5000)
+      const near = [].concat(found[bucket - 1] || [], found[bucket] || [], found[bucket + 1] || [])
+
+      if (near.indexOf(item.offset) === -1 && (item.offset <= 30000 || !this.tooCloseAny(item.offset, near)) && item.offset < max && item.offset > 0) {
+        found[bucket] = (found[bucket] || []).concat([item.offset])
+        return true
+      } else {
+        return false
+      }
+    })
+  }
+
+  /**
+   * getSchedule() lists the announcements a `say` string produces
+   * for a given duration without running the timer
+   *
+   * Called without `say` & `duration`, it lists the timer's own
+   * announcements.
+   *
+   * @param {string} say (optional) `say` string to be parsed.
+   *                 (Default: the timer's `say`)
+   * @param {number|string} duration (optional) number of
+   *                 milliseconds or any duration accepted by the
+   *                 `time` attribute. (Default: the timer's duration
+   *                 or, for a stopwatch without a `limit`, its first
+   *                 hour)
+   * @param {object} options (optional) may contain:
+   *                 * `mode` {string} "countdown" or "countup"
+   *                 * `openEnded` {boolean} count up timer with no
+   *                   `limit`
+   *                 * `priority` {string} "fraction", "time" or
+   *                   "order"
+   *                 * `lang` {string} language announcements are
+   *                   written in
+   *
+   * @returns {array} list of `{offset, message, raw}` objects (most
+   *                time remaining first) where `offset` is the
+   *                number of milliseconds before the end of the
+   *                timer the announcement is made
+   */
+  getSchedule (say, duration, options) {
+    const opts = (typeof options === 'object' && options !== null) ? options : {}
+    const toEntry = (item) => { return { offset: item.offset, message: item.message, raw: item.raw } }
+
+    if (typeof say === 'undefined' && typeof duration === 'undefined') {
+      return this.sayIntervals.map(toEntry)
+    }
+
+    let durationMilli = (this.isOpenEnded() || opts.openEnded === true) ? TalkingTimer.elapsedWindow : this.initialMilliseconds
+    if (typeof duration === 'number') {
+      durationMilli = duration
+    } else if (typeof duration === 'string') {
+      const timeObj = this.parseTimeDuration(duration)
+      if (typeof timeObj === 'string') {
+        console.error('talking-timer could not use "' + duration + '" as a duration. ' + timeObj)
+        return []
+      }
+      durationMilli = this.timeObjToMilliseconds(timeObj)
+    }
+
+    const countUp = (typeof opts.mode === 'string') ? (opts.mode === 'countup' || opts.mode === 'stopwatch') : (this.config.mode === 'countup')
+    const _say = (typeof say === 'string') ? say : this.say
+    const saved = { priority: this.config.priority, lang: this.speechConfig.lang, locale: this.locale, suffixes: this.suffixes }
+    let intervals = []
+
+    if (opts.priority === 'fraction' || opts.priority === 'time' || opts.priority === 'order') {
+      this.config.priority = opts.priority
+    }
+    if (typeof opts.lang === 'string' && opts.lang !== '') {
+      this.speechConfig.lang = opts.lang
+      this.applyLocale()
+    }
+
+    // Only list problems with the `say` being checked
+    this.sayErrors = []
+
+    try {
+      intervals = this.parseRawIntervals(_say, durationMilli, {
+        countUp: countUp,
+        openEnded: (opts.openEnded === true)
+      })
+    } finally {
+      // Leave the timer as it was
+      this.config.priority = saved.priority
+      this.speechConfig.lang = saved.lang
+      this.locale = saved.locale
+      this.suffixes = saved.suffixes
+    }
+
+    return intervals.map(toEntry)
+  }
+
+  //  END:  raw interval parser
+  // ======================================================
+  // START: persistence
+
+  /**
+   * getStorage() gets the Web Storage object used to save the
+   * timer's state (if the timer has the `persist` attribute)
+   *
+   * `persist="session"` uses sessionStorage. Anything else uses
+   * localStorage.
+   *
+   * @param {boolean} warn whether or not to warn about the timer
+   *                 not having an ID
+   *
+   * @returns {Storage|null} storage object or NULL if the timer
+   *                 shouldn't (or can't) be persisted
+   */
+  getStorage (warn) {
+    const persist = this.getAttribute('persist')
+
+    if (persist === null) {
+      return null
+    }
+
+    if (this.id === '') {
+      if (warn === true) {
+        console.warn('talking-timer needs an `id` attribute to be able to persist its state')
+      }
+      return null
+    }
+
+    try {
+      return (persist === 'session') ? window.sessionStorage : window.localStorage
+    } catch (e) {
+      // Storage is blocked (e.g. privacy settings)
+      return null
+    }
+  }
+
+  /**
+   * getStorageKey() gets the key used to save the timer's state
+   *
+   * @returns {string}
+   */
+  getStorageKey () {
+    return 'talking-timer:' + window.location.pathname + '#' + this.id
+  }
+
+  /**
+   * saveState() saves the timer's state so it can be restored when
+   * the page is reloaded
+   *
+   * @returns {void}
+   */
+  saveState () {
+    const storage = this.getStorage(false)
+
+    if (storage === null) {
+      return
+    }
+
+    try {
+      if (this.timerState === 'ready' || this.timerState === 'unconfigured') {
+        // Nothing worth remembering
+        storage.removeItem(this.getStorageKey())
+        return
+      }
+
+      const remaining = this.remaining
+      const running = (this.timerState === 'running')
+
+      storage.setItem(this.getStorageKey(), JSON.stringify({
+        state: this.timerState,
+        duration: this.initialMilliseconds,
+        remaining: remaining,
+        endTime: (running === true && remaining !== null) ? Date.now() + remaining : 0,
+        elapsed: this.elapsed,
+        startTime: (running === true && remaining === null) ? Date.now() - this.elapsed : 0,
+        until: this.untilTime,
+        overtimeStart: this.overtimeStart
+      }))
+    } catch (e) {
+      console.warn('talking-timer could not save its state. ' + e.message)
+    }
+  }
+
+  /**
+   * restoreState() picks up where the timer was at before the page
+   * was reloaded.
+   *
+   * A timer that was running resumes (skipping intervals that have
+   * already passed) and announces how much time is left. If it ran
+   * out while the page was away, it goes straight to finished.
+   *
+   * @returns {void}
+   */
+  restoreState () {
+    const storage = this.getStorage(true)
+    let saved = null
+
+    if (storage === null) {
+      return
+    }
+
+    try {
+      saved = JSON.parse(storage.getItem(this.getStorageKey()))
+    } catch (e) {
+      saved = null
+    }
+
+    if (saved === null || typeof saved !== 'object') {
+      return
+    }
+
+    if (this.untilTime !== 0) {
+      // `until` timers are re-armed on every page load so only the
+      // target has to match
+      if (saved.until !== this.untilTime) {
+        return
+      }
+    } else if (saved.duration !== this.initialMilliseconds) {
+      // The timer has been reconfigured since it was saved
+      return
+    }
+
+    if (this.isOpenEnded()) {
+      this.restoreStopwatch(saved)
+      return
+    }
+
+    let remaining = (saved.state === 'running') ? saved.endTime - Date.now() : saved.remaining
+    if (this.untilTime !== 0) {
+      remaining = this.untilTime - Date.now()
+    }
+
+    if (this.config.overtime === true && this.config.hasLimit === true && (saved.state === 'overtime' || (saved.state === 'running' && remaining <= 0))) {
+      // Carry on counting from when the timer reached zero
+      this.remainingMilliseconds = 0
+      this.playPauseBtn.classList.add('finished')
+      this.startOvertime((saved.state === 'overtime') ? saved.overtimeStart : Date.now() + remaining)
+      return
+    }
+
+    if (saved.state === 'finished' || remaining <= 0) {
+      this.remainingMilliseconds = 0
+      this.setCurrentValue(0)
+      this.setTimeText()
+      this.progress.value = 1
+      this.numbers.classList.add('finished')
+      this.playPauseBtn.classList.add('finished')
+      this.timerState = 'finished'
+      this.setBtnVisibility()
+      this.saveState()
+      return
+    }
+
+    if (saved.state !== 'running' && saved.state !== 'paused') {
+      return
+    }
+
+    this.remainingMilliseconds = remaining
+    this.workingIntervals = this.workingIntervals.filter(interval => interval.offset < remaining)
+    this.workingCues = this.workingCues.filter(cue => cue.offset < remaining)
+    this.setCurrentValue(remaining)
+    this.setTimeText()
+    this.progress.value = (1 - (remaining / this.initialMilliseconds))
+    if (this.segments.length > 0) {
+      this.setSegmentProgress(remaining)
+    }
+    this.playPauseTxt.innerHTML = 'Play '
+    this.timerState = 'paused'
+
+    if (saved.state === 'running') {
+      // Round to whole seconds so announcement sounds natural
+      if (this.config.mode === 'countup') {
+        this.saySomething(this.makeTimeMessage(Math.round((this.initialMilliseconds - remaining) / 1000) * 1000, this.suffixes.first, true), 2)
+      } else {
+        this.saySomething(this.makeTimeMessage(Math.round(remaining / 1000) * 1000, this.suffixes.last, true), 2)
+      }
+      this.startPlaying()
+    } else {
+      this.setBtnVisibility()
+    }
+  }
+
+  /**
+   * restoreStopwatch() picks up where a stopwatch without a `limit`
+   * was at before the page was reloaded
+   *
+   * @param {object} saved the timer's saved state
+   *
+   * @returns {void}
+   */
+  restoreStopwatch (saved) {
+    if ((saved.state !== 'running' && saved.state !== 'paused') || typeof saved.elapsed !== 'number' || saved.remaining !== null) {
+      return
+    }
+
+    const elapsed = (saved.state === 'running') ? Date.now() - saved.startTime : saved.elapsed
 
-        --talkingTimer-columns: auto 2em;
-        --talkingTimer-rows: 2em auto auto 2em auto auto;
+    this.elapsedMilliseconds = elapsed
+    this.skipElapsedAll(elapsed)
+    this.currentValue = this.millisecondsToTimeObj(elapsed)
+    this.setTimeText()
+    this.playPauseTxt.innerHTML = 'Play '
+    this.timerState = 'paused'
 
-        --timertext-color: #222;
-        --timertext-family: verdana, arial, helvetica, sans-serif;
-        --timertext-size: 6em;
-        --timertext-weight: bold;
-        --timertext-padding: 0.1em 0.25em 0.2em;
-        --timertext-align: center;
+    if (saved.state === 'running') {
+      // Round to whole seconds so announcement sounds natural
+      this.saySomething(this.makeTimeMessage(Math.round(elapsed / 1000) * 1000, this.suffixes.first, true), 2)
+      this.startPlaying()
+    } else {
+      this.setBtnVisibility()
+    }
+  }
 
-        --wrapper-border-width: 0.05em;
-        --wrapper-border-color: #ccc;
-      }
+  //  END:  persistence
+  // ======================================================
+  // START: segments
 
-      :root {
-        font-family: inherit;
-        color: inherit;
+  /**
+   * parseSegments() builds the list of segments for a timer that
+   * runs a sequence (e.g. warm-up, 8 x work/rest, cool-down)
+   *
+   * Segments come from either a `segments` attribute containing a
+   * JSON array or from `<talking-timer-segment>` child elements.
+   *
+   * @returns {array|false} flat list of segment objects (empty if
+   *                the timer isn't a sequence). FALSE if any segment
+   *                is invalid
+   */
+  parseSegments () {
+    const json = this.getAttribute('segments')
+    let raw = []
+
+    if (typeof json === 'string' && json.trim() !== '') {
+      try {
+        raw = JSON.parse(json)
+      } catch (e) {
+        console.error('talking-timer `segments` attribute must contain valid JSON. ' + e.message)
+        return false
       }
-
-      h1 {
-        grid-column-start: 1;
-        grid-column-end: 3;
-        grid-row-start: 1;
-        grid-row-end: 3;
-        font-size: var(--h1-size);
-        margin: 0;
-        padding: var(--h1-padding);
-        text-align: var(--h1-align);
+      if (!Array.isArray(raw)) {
+        console.error('talking-timer `segments` attribute must be a JSON array of segment objects')
+        return false
       }
+    } else {
+      raw = this.getSegmentElements(this)
+    }
 
-      h1.noclosebtn {
-        padding: var(--h1-noclosebtn-padding);
-      }
+    const segments = this.flattenSegments(raw)
+    if (segments === false) {
+      return false
+    }
 
-      .btn-wrapper {
-        grid-column-start: 1;
-        grid-column-end: 3;
-        grid-row-start: 6;
-        grid-row-end: 7;
-        align-items: stretch;
-        display: flex;
-        justify-content: space-between;
-      }
+    let start = 0
+    return segments.map((segment, index) => {
+      const output = { ...segment, index: index, start: start, end: start + segment.duration }
+      start = output.end
+      return output
+    })
+  }
 
-      button {
-        background-color: var(--btn-background);
-        border-width: var(--btn-border-width);
-        border-style:  solid;
-        border-color: var(--btn-border-color);
-        flex-grow: 1;
-        font-size: var(--btn-size);
-        font-variant: small-caps;
-        padding: var(--btn-padding);
+  /**
+   * getSegmentElements() converts `<talking-timer-segment>` child
+   * elements into raw segment objects (the same shape as the
+   * objects in the `segments` attribute's JSON)
+   *
+   * @param {HTMLElement} parent element whose children are to be
+   *                 checked
+   *
+   * @returns {array} list of raw segment objects
+   */
+  getSegmentElements (parent) {
+    return Array.from(parent.children).filter(
+      element => element.tagName.toLowerCase() === 'talking-timer-segment'
+    ).map(element => {
+      const children = this.getSegmentElements(element)
+      const text = Array.from(element.childNodes).filter(node => node.nodeType === 3).map(node => node.textContent).join(' ').trim()
+      const output = {
+        label: (element.hasAttribute('label')) ? element.getAttribute('label') : text,
+        time: element.getAttribute('time'),
+        say: element.getAttribute('say'),
+        'start-message': element.getAttribute('start-message'),
+        'end-message': element.getAttribute('end-message'),
+        repeat: element.getAttribute('repeat')
       }
 
-      button:last-child {
-        border-right-width: 0.075em;
+      if (children.length > 0) {
+        output.segments = children
       }
+      return output
+    })
+  }
 
-      button:hover {
-        background-color: var(--btn-hover-background);
-        border-width: var(--btn-hover-border-width);
-        border-color: var(--btn-hover-border-color);
-        cursor: pointer;
-      }
+  /**
+   * flattenSegments() converts a (possibly nested) list of raw
+   * segment objects into a flat list of segments, with repeated
+   * segments (or groups of segments) expanded
+   *
+   * @param {array} rawSegments list of raw segment objects
+   *
+   * @returns {array|false} flat list of segments or FALSE if any
+   *                segment is invalid
+   */
+  flattenSegments (rawSegments) {
+    let output = []
+
+    for (let a = 0; a < rawSegments.length; a += 1) {
+      const raw = rawSegments[a] || {}
+      const repeat = (raw.repeat !== null && Number.parseInt(raw.repeat, 10) > 1) ? Number.parseInt(raw.repeat, 10) : 1
+      let segments = []
+
+      if (Array.isArray(raw.segments) && raw.segments.length > 0) {
+        segments = this.flattenSegments(raw.segments)
+        if (segments === false) {
+          return false
+        }
+      } else {
+        const label = (typeof raw.label === 'string') ? raw.label.trim() : ''
+        const timeObj = this.parseTimeDuration((typeof raw.time === 'number') ? raw.time.toString() : raw.time)
 
-      button .icon {
-        display: inline-block;
-        font-weight: bold;
-        font-size: 1.25em;
-        margin-bottom: -1em;
-        margin-left: 0.3em;
-        margin-top: -1em;
-        transform: translateY(0.15em);
-      }
+        if (typeof timeObj === 'string') {
+          console.error('talking-timer segment "' + label + '" could not use "' + raw.time + '" as a duration. ' + timeObj)
+          return false
+        }
 
-      .playPauseBtn {
-        border-color: var(--playpause-border-color);
-        border-width: var(--playpause-border-width);
-        background-color: var(--playpause-background);
-        color: var(--playpause-color);
-        flex-grow: 3;
-        font-weight: var(--playpause-weight);
-      }
+        const duration = this.timeObjToMilliseconds(timeObj)
+        if (duration <= 0) {
+          // A segment that takes no time has no progress to show
+          console.error('talking-timer segment "' + label + '" could not use "' + raw.time + '" as a duration. Segments must be longer than zero')
+          return false
+        }
 
-      .playPauseBtn:hover {
-        background-color: var(--playpause-hover-background);
-        border-color: var(--playpause-hover-border-color);
-        font-weight: var(--playpause-hover-weight);
+        segments = [{
+          label: label,
+          duration: duration,
+          say: (typeof raw.say === 'string') ? raw.say : null,
+          startText: (typeof raw['start-message'] === 'string') ? raw['start-message'] : '',
+          endText: (typeof raw['end-message'] === 'string') ? raw['end-message'] : ''
+        }]
       }
 
-      .playPauseBtn .icon {
-        transform: translateY(0.15em) rotate(30deg);
+      for (let b = 0; b < repeat; b += 1) {
+        output = output.concat(segments.map(segment => { return { ...segment } }))
       }
+    }
 
-      .playPauseBtn.playing .icon {
-        transform: translateY(-0.05em);
-      }
+    return output
+  }
 
-      .playPauseBtn.finished {
-        opacity: 0;
+  /**
+   * getSegmentIntervals() builds the list of intervals to be
+   * announced for a sequence.
+   *
+   * Each segment's `say` is parsed against the segment's own
+   * duration then shifted so its offsets are relative to the end of
+   * the whole sequence. Transitions between segments are announced
+   * with the previous segment's end message followed by the next
+   * segment's start message (or label)
+   *
+   * @param {string} say `say` value to use for segments that don't
+   *                 have their own
+   *
+   * @returns {array} list of interval objects sorted by offset
+   */
+  getSegmentIntervals (say) {
+    const total = this.initialMilliseconds
+    let output = []
+
+    for (let a = 0; a < this.segments.length; a += 1) {
+      const segment = this.segments[a]
+      const endOffset = total - segment.end
+      const segmentSay = (segment.say !== null) ? segment.say : say
+      const transition = []
+
+      if (a > 0 && this.segments[a - 1].endText !== '') {
+        transition.push(this.segments[a - 1].endText)
       }
+      transition.push((segment.startText !== '') ? segment.startText : segment.label)
 
-      .restartBtn .icon {
-        font-size: 1.5em;
-        transform: translateY(0.15em) rotate(45deg);
+      const message = transition.filter(text => text !== '').join(' ')
+      if (message !== '') {
+        output.push({ offset: total - segment.start, message: message, raw: 'segment', segment: a })
       }
 
-      .resetBtn .icon {
-        font-weight: normal;
-      }
+      output = output.concat(this.parseRawIntervals(segmentSay, segment.duration).map(interval => {
+        return { ...interval, offset: interval.offset + endOffset, segment: a }
+      }))
+    }
 
-      @media screen {
-        .sr-only {
-          display: inline-block;
-          height: 1px;
-          margin: -1px 0 0 -1px;
-          opacity: 0;
-          width: 1px;
-        }
-      }
+    return this.sortOffsets(output)
+  }
 
-      .smallBtn {
-        background: var(--smallbtn-background);
-        border-width: var(--smallbtn-border-width);
-        border-style: var(--smallbtn-border-style);
-        border-color: var(--smallbtn-border-color);
-        color: var(--smallbtn-color);
-        font-size: var(--smallbtn-size);
-        font-weight: var(--smallbtn-weight);
-        grid-column-start: var(--smallbtn-left);
-        grid-column-end: var(--smallbtn-right);
-        line-height: 0em;
-        margin: 0;
-        padding: var(--smallbtn-padding);
-      }
+  /**
+   * getSegmentIndex() works out which segment the timer is in
+   *
+   * @param {number} remaining number of milliseconds remaining
+   *
+   * @returns {number} index of the current segment
+   */
+  getSegmentIndex (remaining) {
+    const elapsed = this.initialMilliseconds - remaining
+    const last = this.segments.length - 1
 
-      .closeBtn {
-        grid-row-start: var(--closebtn-top);
-        grid-row-end: var(--closebtn-bottom);
+    for (let a = 0; a < last; a += 1) {
+      if (elapsed < this.segments[a].end) {
+        return a
       }
+    }
+    return last
+  }
+
+  /**
+   * showSegment() updates the label showing which segment the
+   * timer is in
+   *
+   * @param {number} index index of the segment to show
+   *
+   * @returns {void}
+   */
+  showSegment (index) {
+    const label = this.segments[index].label
+    const count = ' (' + (index + 1) + '/' + this.segments.length + ')'
+
+    this.segmentLabel.textContent = (label !== '') ? label + count : count.trim()
+  }
+
+  /**
+   * setSegmentProgress() updates the segment label & progress bar
+   * and lets the outside world know when the timer moves into a new
+   * segment
+   *
+   * @param {number} remaining number of milliseconds remaining
+   *
+   * @returns {void}
+   */
+  setSegmentProgress (remaining) {
+    const index = this.getSegmentIndex(remaining)
+    const segment = this.segments[index]
+    const elapsed = this.initialMilliseconds - remaining
+
+    this.segmentProgress.value = ((elapsed - segment.start) / segment.duration)
+
+    if (index !== this.segmentIndex) {
+      this.segmentIndex = index
+      this.showSegment(index)
+      this.dispatch('segment', { segment: index, label: segment.label })
+    }
+  }
+
+  //  END:  segments
+  // ======================================================
+  // START: speak aloud methods
+
+  /**
+   * saySomething() queues the text supplied to be spoken as soon as
+   * possible.
+   *
+   * If the timer is inside a `<talking-timer-group>`, the text is
+   * queued by the group so it can share a single speech channel
+   * between all its timers.
+   *
+   * @param {string} text Information to be spoken
+   * @param {number} urgency (optional) how important it is that the
+   *                 text is spoken promptly:
+   *                 0 = low, 1 = normal (default), 2 = high
+   *                 (e.g. final countdown), 3 = highest (end of
+   *                 timer)
+   * @param {number} maxAge (optional) number of milliseconds after
+   *                 which the text is out of date and should not be
+   *                 spoken. (-1 = never out of date.) Defaults to
+   *                 1 second for high urgency, never for highest
+   *                 and 3 seconds for everything else
+   *
+   * @returns {void}
+   */
+  saySomething (text, urgency, maxAge) {
+    const _urgency = (typeof urgency === 'number') ? urgency : 1
+    let _maxAge = maxAge
+
+    if (typeof _maxAge !== 'number') {
+      _maxAge = (_urgency >= 3) ? -1 : (_urgency === 2) ? 1000 : 3000
+    }
+
+    this.lastSaid = { text: text, urgency: _urgency }
+    this.getSpeechQueue().add({
+      text: text,
+      urgency: _urgency,
+      expires: (_maxAge < 0) ? -1 : Date.now() + _maxAge,
+      source: this,
+      // Only show the caption once it's actually being said (it may
+      // be waiting behind other announcements or dropped)
+      onspeak: () => { this.setCaption(text) }
+    })
+  }
+
+  /**
+   * setCaption() shows what is being said (for people who can't
+   * hear it)
+   *
+   * @param {string} text what is being said
+   *
+   * @returns {void}
+   */
+  setCaption (text) {
+    if (this.caption !== null) {
+      this.caption.textContent = text
+    }
+  }
+
+  /**
+   * flash() briefly highlights the timer (if it has a `flash`
+   * attribute) so people who can't hear announcements know
+   * something happened
+   *
+   * @param {string} type "interval" (pulse) or "end" (flash)
+   *
+   * @returns {void}
+   */
+  flash (type) {
+    if (this.config.flash === false || this.wrap === null) {
+      return
+    }
+
+    window.clearTimeout(this.flashTimeout)
+    this.flashTimeout = null
+    this.wrap.classList.remove('flash-interval', 'flash-end')
+    // Force a reflow so the animation starts again if the same
+    // effect is already running
+    void this.wrap.offsetWidth
+    this.wrap.classList.add('flash-' + type)
+
+    if (typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      // There's no animation to end so the highlight is removed
+      // after a fixed time
+      this.flashTimeout = window.setTimeout(() => {
+        this.wrap.classList.remove('flash-' + type)
+        this.flashTimeout = null
+      }, (type === 'end') ? 3000 : 1000)
+    }
+  }
+
+  /**
+   * parseChime() works out which end chime the timer plays.
+   *
+   * In order: the `chime` attribute,
+   * `talkingTimerExternalDefaults.sound`,
+   * `talkingTimerExternalDefaults.chime` then the classic chime
+   *
+   * @returns {void}
+   */
+  parseChime () {
+    const raw = this.getAttribute('chime')
+    const sound = this.getGlobal({}, 'sound')
+    const source = JSON.stringify([raw, sound, this.getGlobal('classic', 'chime')])
+    let chime = null
+
+    if (source === this.chimeSource) {
+      return
+    }
+    this.chimeSource = source
+
+    if (typeof raw === 'string' && raw.trim() !== '') {
+      chime = this.getChime(raw.trim())
+    }
+    if (chime === null && typeof sound.url === 'string' && sound.url !== '') {
+      chime = this.normaliseChime(sound)
+    }
+    if (chime === null) {
+      chime = this.getChime(this.getGlobal('classic', 'chime'))
+    }
+
+    this.chime = (chime !== null) ? chime : this.normaliseChime(TalkingTimer.chimes.classic)
+  }
+
+  /**
+   * getChime() gets a chime from the value of a `chime` attribute
+   *
+   * @param {string} value name of a chime, a sequence of
+   *                 `frequency:seconds` pairs (e.g.
+   *                 "523:0.2 0:0.1 784:0.4") or the URL of an audio
+   *                 file
+   *
+   * @returns {object|null} NULL if the chime couldn't be found
+   */
+  getChime (value) {
+    const chimes = TalkingTimer.chimes
+    const sequence = new RegExp('^[0-9]+(?:\\.[0-9]+)?:[0-9]*\\.?[0-9]+(?:\\s+[0-9]+(?:\\.[0-9]+)?:[0-9]*\\.?[0-9]+)*$')
+    const audioFile = new RegExp('(?:^(?:https?:|data:audio|blob:|\\.{0,2}/)|\\.(?:mp3|m4a|aac|ogg|oga|opus|wav|webm|flac)(?:[?#].*)?$)', 'i')
+
+    if (typeof chimes[value.toLowerCase()] === 'object') {
+      return this.normaliseChime(chimes[value.toLowerCase()])
+    }
+
+    if (sequence.test(value)) {
+      return this.normaliseChime({
+        notes: value.split(/\s+/).map(note => note.split(':').map(Number.parseFloat))
+      })
+    }
+
+    if (audioFile.test(value)) {
+      return this.normaliseChime({ name: '', url: value })
+    }
+
+    console.warn('talking-timer could not find a chime called "' + value + '". Using the classic chime instead')
+    return null
+  }
+
+  /**
+   * normaliseChime() converts any kind of chime (see
+   * TalkingTimer.registerChime()) into a single format
+   *
+   * @param {object} chime
+   *
+   * @returns {object} with:
+   *                 * `notes` {array} `{frequency, start, duration}`
+   *                   objects (seconds)
+   *                 * `type` {string} OscillatorNode type
+   *                 * `volume` {number} between 0 & 1
+   *                 * `url` {string} audio file (empty if the chime
+   *                   is made of notes)
+   *                 * `audio` {Audio|null} preloaded audio file
+   *                 * `length` {number} milliseconds the chime takes
+   *                   to play (-1 until an audio file has loaded)
+   *                 * `failed` {boolean} whether the audio file
+   *                   couldn't be loaded
+   */
+  normaliseChime (chime) {
+    const output = {
+      notes: [],
+      type: (typeof chime.type === 'string') ? chime.type : 'sine',
+      volume: (typeof chime.volume === 'number') ? Math.min(Math.max(chime.volume, 0.01), 1) : 1,
+      url: '',
+      audio: null,
+      length: 0,
+      failed: false
+    }
+
+    if (typeof chime.url === 'string') {
+      output.url = chime.url
+      output.length = -1
+      output.audio = new Audio()
+      output.audio.preload = 'auto'
+      output.audio.addEventListener('loadedmetadata', () => {
+        if (isFinite(output.audio.duration)) {
+          output.length = Math.round(output.audio.duration * 1000)
+        }
+      })
+      output.audio.addEventListener('error', () => {
+        if (output.failed === false) {
+          console.warn('talking-timer could not load chime "' + chime.url + '". Using the classic chime instead')
+          output.failed = true
+        }
+      })
+      output.audio.src = chime.url
+
+      return output
+    }
 
-      .smallBtn:hover,
-      .smallBtn:focus {
-        background-color: var(--smallbtn-hover-background);
-        border-width: var(--smallbtn-hover-border-width);
-        border-style: var(--smallbtn-hover-border-style);
-        border-color: var(--smallbtn-hover-border-color);
-        color: var(--smallbtn-hover-color);
-        font-weight: var(--smallbtn-hover-weight);
-      }
+    if (Array.isArray(chime.tones)) {
+      const duration = (typeof chime.duration === 'number') ? chime.duration : 0.75
+      const interval = (typeof chime.interval === 'number') ? chime.interval : duration
 
-      .smallBtn__icon {
-        position: relative;
-        top: 0;
-        left: -0.25em;
-      }
+      output.notes = chime.tones.map((frequency, a) => {
+        return { frequency: frequency, start: a * interval, duration: duration }
+      })
+    } else if (Array.isArray(chime.notes)) {
+      let start = 0
 
-      .timer-text {
-        color: var(--timertext-color);
-        display: block;
-        font-family: var(--timertext-family);
-        font-size: var(--timertext-size);
-        font-weight: var(--timertext-weight);
-        padding: var(--timertext-padding);
-        text-align: var(--timertext-align);
-      }
+      output.notes = chime.notes.map(note => {
+        const item = { frequency: note[0], start: start, duration: note[1] }
+        start += note[1]
+        return item
+      })
+    }
 
-      progress {
-        grid-column-start: 1;
-        grid-column-end: 3;
-        grid-row-start: 3;
-        grid-row-end: 4;
-        z-index: 10;
-        background-color: #fff;
-        border-width: var(--progress-border-width);
-        border-style: solid;
-        border-color: var(--progress-border-color);
-        color: var(--progress-color);
-        display: block;
-        height: var(--progress-height);
-        left: var(--progress-left);
-        right: var(--progress-right);
-        position: relative;
-        width: 100%;
-      }
+    output.length = Math.round(output.notes.reduce((end, note) => Math.max(end, note.start + note.duration), 0) * 1000)
 
-      .finished {
-        background-color: #c00;
-        color: #fff;
-      }
+    return output
+  }
 
-      .tenths {
-        font-size: 0.5em;
-        font-weight: normal;
-      }
+  /**
+   * getChimeLength() gets how long the end chime takes to play
+   *
+   * @returns {number} number of milliseconds (`chimeDelay` if the
+   *                chime is an audio file that hasn't loaded yet)
+   */
+  getChimeLength () {
+    if (this.chime.failed === true) {
+      return this.normaliseChime(TalkingTimer.chimes.classic).length
+    }
+    return (this.chime.length >= 0) ? this.chime.length : this.chimeDelay
+  }
 
-      .hide {
-        display: none;
-      }
+  /**
+   * parseVibrate() works out which kinds of announcement make the
+   * device vibrate
+   *
+   * @param {string|null} raw value of the `vibrate` attribute. Empty
+   *                 means all kinds. Otherwise a space separated
+   *                 list of "interval", "countdown" & "end"
+   *
+   * @returns {array}
+   */
+  parseVibrate (raw) {
+    const types = Object.keys(this.vibratePatterns)
 
-      .TalkingTimer-wrapper {
-        display: grid;
-        grid-template-columns: var(--talkingTimer-columns);
-        grid-template-rows: var(--talkingTimer-rows);
-      }
+    if (typeof raw !== 'string') {
+      return []
+    }
+    if (raw.trim() === '') {
+      return types
+    }
 
-      .timer-text--wrap {
-        grid-column-start: 1;
-        grid-column-end: 3;
-        grid-row-start: 4;
-        grid-row-end: 6;
-      }
-      .config-btn {
-        grid-row-start: var(-configbtn-top);
-        grid-row-end: var(--configbtn-bottom);
-      }
-      .config-wrap {
-        grid-column-start: 1;
-        grid-column-end: 3;
-        grid-row-start: 1;
-        grid-row-end: 6;
-        z-index: 10;
-        overflow-y: auto;
-        background-color: rgba(255, 255, 255, 0.75);
+    return raw.trim().toLowerCase().split(/\s+/).filter(type => {
+      if (types.indexOf(type) === -1) {
+        console.warn('talking-timer `vibrate` attribute can only contain "' + types.join('", "') + '". "' + type + '" was ignored')
+        return false
       }
-      `
-    )
+      return true
+    })
   }
 
-  //  END:  DOM builders
-  // ======================================================
-  // START: timer callbacks
-
   /**
-   * setTimeText() returns a callback function to be passed to
-   * `window.setInterval()` or `window.clearInterval()`
+   * vibrate() makes the device vibrate (if it can and the timer has
+   * a `vibrate` attribute)
    *
-   * The callback handles updating the textual representation of the
-   * time remaining in the countdown
+   * @param {string} type kind of announcement ("interval",
+   *                 "countdown" or "end"). Empty string stops any
+   *                 vibration
    *
    * @returns {void}
    */
-  setTimeText () {
-    this.numbers.innerHTML = this.timeObjToString(this.currentValue)
+  vibrate (type) {
+    if (this.vibrateTypes.length === 0 || typeof navigator.vibrate !== 'function') {
+      return
+    }
+
+    if (type === '') {
+      navigator.vibrate(0)
+    } else if (this.vibrateTypes.indexOf(type) > -1) {
+      navigator.vibrate(this.vibratePatterns[type])
+    }
   }
 
   /**
-   * setProgressTicker()
+   * cancelSpeech() stops anything the timer is saying (or waiting
+   * to say)
    *
-   * @param {integer} interval number of Milliseconds the interval
-   *                 should be between when the progress bar is
-   *                 updated.
    * @returns {void}
    */
-  setProgressTicker (interval) {
-    if (this.endTime === 0) {
-      this.endTime = Date.now() + this.remainingMilliseconds
+  cancelSpeech () {
+    this.getSpeechQueue().cancel(this)
+  }
+
+  /**
+   * getSpeechQueue() gets the speech queue the timer should use
+   * (the group's if it's inside a `<talking-timer-group>`)
+   *
+   * @returns {TalkingTimerSpeechQueue}
+   */
+  getSpeechQueue () {
+    const group = this.closest('talking-timer-group')
+
+    return (group !== null && typeof group.speech === 'object' && group.speech !== null) ? group.speech : this.speech
+  }
+
+  /**
+   * getSpeechOptions() gets the options the speaker uses to say
+   * announcements
+   *
+   * @returns {object}
+   */
+  getSpeechOptions () {
+    return {
+      ...this.speechConfig,
+      volume: this.getOutputVolume(),
+      lang: this.getLang(),
+      onblocked: () => { this.speechBlocked() },
+      timer: this
     }
+  }
 
-    const progressTickTock = () => {
-      this.remainingMilliseconds = this.endTime - Date.now()
+  /**
+   * getSpeaker() gets the speaker used to say the timer's
+   * announcements. (In order: the timer's `speaker` property, the
+   * timer's `speaker` attribute, then the default speaker. If the
+   * timer has `clips`, they are played instead where possible)
+   *
+   * @returns {object}
+   */
+  getSpeaker () {
+    const speaker = this.getBaseSpeaker()
 
-      if (this.remainingMilliseconds < 0) {
-        this.remainingMilliseconds = 0
+    if (this.clipSpeaker === null) {
+      return speaker
+    }
+
+    // Anything without a clip is said by the timer's usual speaker
+    this.clipSpeaker.fallback = speaker
+    return this.clipSpeaker
+  }
+
+  /**
+   * getBaseSpeaker() gets the speaker used for announcements that
+   * don't have a pre-recorded clip
+   *
+   * @returns {object}
+   */
+  getBaseSpeaker () {
+    if (this.elementSpeaker !== null) {
+      return this.elementSpeaker
+    }
+
+    const name = this.getAttribute('speaker')
+    const speakers = TalkingTimer.speakers
+
+    if (typeof name === 'string' && name !== '') {
+      if (typeof speakers[name] === 'object') {
+        return speakers[name]
       }
+      console.warn('talking-timer could not find a speaker called "' + name + '". Using the default speaker instead')
+    }
 
-      const promise1 = new Promise((resolve, reject) => {
-        const preOffset = this.getSpeakPreOffset(this.remainingMilliseconds)
-        this.progress.value = (1 - (this.remainingMilliseconds / this.initialMilliseconds))
-        this.currentValue = this.millisecondsToTimeObj(this.remainingMilliseconds)
+    return TalkingTimer.getDefaultSpeaker()
+  }
 
-        if (Math.floor(this.remainingMilliseconds) <= 0) {
-          this.endPlaying()
-        } else if (this.workingIntervals.length > 0 && (this.workingIntervals[0].offset + preOffset) > this.remainingMilliseconds) {
-          const sayThis = this.workingIntervals.shift()
-          if (this.posMinus(sayThis.offset, this.remainingMilliseconds) < 2000) {
-            // This ensures that if for some reason, there is a
-            // back-log of intervals to be spoken, only intervals
-            // that should have been spoken within the last
-            // 2 seconds get spoken
-            this.saySomething(sayThis.message)
-          }
-        }
-      })
-      const promise3 = new Promise((resolve, reject) => { this.setTimeText() })
+  /**
+   * getLang() gets the language announcements should be spoken in
+   *
+   * Uses (in order) the timer's `lang` attribute (or
+   * `talkingTimerExternalDefaults.lang`), the closest `lang`
+   * attribute on the page, then the browser's language
+   *
+   * @returns {string} BCP 47 language tag (e.g. "en-AU")
+   */
+  getLang () {
+    if (this.speechConfig.lang !== '') {
+      return this.speechConfig.lang
     }
-    this.progressTicker = setInterval(progressTickTock, interval)
+
+    const parent = this.closest('[lang]')
+
+    if (parent !== null && parent.getAttribute('lang') !== '') {
+      return parent.getAttribute('lang')
+    }
+
+    return (typeof navigator.language === 'string' && navigator.language !== '') ? navigator.language : 'en'
   }
 
   /**
-   * getSpeakPreOffset() gets the number of milliseconds the text-to-speech should take
+   * getLabel() gets the plain text heading for the timer.
    *
-   * @param {integer} timeRemaining number of Milliseconds
-   *                 remaining until the end of the timer
-   *.
-   * @returns {integer}
+   * Uses the `label` attribute if it's set. Otherwise uses the text
+   * inside the `<talking-timer>` element (ignoring text inside
+   * child elements - e.g. sub-headings & segments)
+   *
+   * @returns {string}
    */
-  getSpeakPreOffset (timeRemaining) {
-    const c = this.pre.length
-    for (let a = 0; a < c; a += 1) {
-      if (timeRemaining <= this.pre[a].remaining) {
-        return this.pre[a].delay
-      }
+  getLabel () {
+    if (this.hasAttribute('label')) {
+      return this.getAttribute('label').trim()
     }
-    const b = c - 1
-    return this.pre[b].delay
+
+    return Array.from(this.childNodes).filter(
+      node => node.nodeType === 3
+    ).map(node => node.textContent).join(' ').replace(/\s+/g, ' ').trim()
   }
 
-  //  END:  timer callbacks
-  // ======================================================
-  // START: utility methods
+  /**
+   * speakAfterSeconds() uses the Web Speech API's Speech Synthisis
+   * interface to announce time intervals for the talking-timer
+   *
+   * @param {string} text Information to be spoken
+   * @param {number} seconds time before the text is to be spoken.
+   *
+   * @returns {Promise}
+   */
+  speakAfterSeconds (text, seconds) {
+    const speakAfterSecondsCallback = async () => {
+      const milliseconds = seconds * 1000
+      // SpeechSynthesis.speak(text)
+      window.setTimeout(text, milliseconds)
+    }
+    return speakAfterSecondsCallback
+  }
 
   /**
-   * onlyGreaterThanZero() ensures that the most significant field in
-   * the returned timeObj is non-zero
+   * speakInterval() uses the Web Speech API's Speech Synthisis
+   * interface to announce time intervals at a fixed interval
    *
-   * @param {object} currentValue containing seconds, minutes & hours
-   *                representing the timer's duration
+   * @param {string} text Information to be spoken
+   * @param {number} interval number of seconds for the interval
+   *                 between when last text was spoken and when the
+   *                 next speaking commences
    *
-   * @returns {object} object containing only the least significant
-   *                fields greater than zero
+   * @returns {Promise}
    */
-  onlyGreaterThanZero (currentValue) {
-    const fields = ['hours', 'minutes', 'seconds', 'tenths']
-    let tmpValue = {}
-    let allTheRest = false
+  speakInterval (text, interval) {
 
-    for (let a = 0; a < 4; a += 1) {
-      const field = fields[a]
-      const isNum = typeof currentValue[field] === 'number'
-      if (allTheRest === true || (isNum === true && currentValue[field] > 0)) {
-        tmpValue[field] = (isNum === true) ? currentValue[field] : 0
-        allTheRest = true
+  }
+
+  /**
+   * speakIntervalAfterSeconds() uses the Web Speech API's Speech
+   * Synthisis interface to announce time intervals at a fixed
+   * interval starting after a specified number of seconds
+   *
+   * @param {string} text Information to be spoken
+   * @param {number} seconds time before the text is to be spoken.
+   *
+   * @returns {Promise}
+   */
+  speakIntervalAfterSeconds (text, seconds) {
+
+  }
+
+  /**
+   * endSound() plays the timer's end chime
+   *
+   * Notes are scheduled on the shared AudioContext's clock so they
+   * stay in time however busy the page is.
+   *
+   * @returns {void}
+   */
+  endSound () {
+    /**
+     * @var {object} chime the chime to be played (the classic chime
+     *               if the timer's audio file couldn't be loaded)
+     */
+    const chime = (this.chime.failed === true) ? this.normaliseChime(TalkingTimer.chimes.classic) : this.chime
+
+    this.stopChime()
+
+    if (chime.url !== '') {
+      const audio = chime.audio
+
+      audio.currentTime = 0
+      audio.volume = this.getOutputVolume()
+      audio.onended = () => { this.chimeEnded() }
+      this.chimeAudio = audio
+      this.stopChimeBtn.classList.remove('hide')
+
+      const playing = audio.play()
+      if (typeof playing === 'object' && playing !== null) {
+        playing.catch(e => {
+          this.chimeEnded()
+          if (e.name === 'NotAllowedError') {
+            this.audioBlocked('chime', () => { this.endSound() })
+          } else {
+            console.warn('talking-timer could not play chime "' + chime.url + '". ' + e.message)
+          }
+        })
       }
+      return
     }
 
-    return tmpValue
+    this.playNotes(chime, true)
   }
 
   /**
-   * validateTimeDuration() validates the value of the element's `start`
-   * attribute
-   *
-   * __NOTE:__ the parsed value of `start` must be less than 24 hours
-   *
-   * __NOTE ALSO:__ this method also assignes parsed values to object
-   *       properties
+   * playNotes() schedules a chime's notes on the shared AudioContext
    *
-   * @param {string} hoursMinutesSeconds the string value of the
-   *                 element's `start` attribute
+   * @param {object} chime normalised chime (see normaliseChime())
+   * @param {boolean} isChime whether this is the end chime (which can
+   *                 be stopped with stopChime())
+   * @param {number} delay (optional) seconds to wait before the first
+   *                 note
    *
-   * @returns {boolean} TRUE if hoursMinutesSeconds can be parsed.
-   *          FALSE otherwise
+   * @returns {void}
    */
-  validateTimeDuration (hoursMinutesSeconds) {
-    const regex = new RegExp('^(?:(?:(?:([0-1]?[0-9]|2[0-4]):)?([0-5]?[0-9]):)?([0-5]?[0-9])|([6-9][0-9]|[1-9][0-9]{2,5}))$')
+  playNotes (chime, isChime, delay) {
+    const context = TalkingTimer.getAudioContext()
+    const notes = chime.notes
+    /**
+     * @var {number} ramp the volume the note fades to. (Exponential
+     *               ramps can't go all the way to zero.)
+     */
+    const ramp = 0.00001
+
+    if (context === null) {
+      return
+    }
+    TalkingTimer.audioUsers.add(this)
 
-    if (typeof hoursMinutesSeconds === 'string') {
-      let tmpStart = { hours: 0, minutes: 0, seconds: 0 }
-      const matches = regex.exec(hoursMinutesSeconds)
+    if (context.state === 'suspended') {
+      this.whenAudioRuns(context, () => { this.playNotes(chime, isChime, delay) }, (isChime === true) ? 'chime' : 'cue')
+      return
+    }
 
-      if (matches !== null) {
-        const len = matches.length
+    // A little lead time so the first note isn't clipped
+    const begin = context.currentTime + 0.05 + ((typeof delay === 'number') ? delay : 0)
 
-        if (len === 5 && typeof matches[4] !== 'undefined') {
-          let seconds = Number.parseInt(matches[4], 10)
+    for (let a = 0; a < notes.length; a += 1) {
+      const note = notes[a]
 
-          if (seconds > 86400) {
-            // limit the maximum duration of the timer to 24 hours
-            seconds = 86400
-          }
+      if (note.frequency > 0) {
+        const oscillator = context.createOscillator()
+        const gain = context.createGain()
+        const start = begin + note.start
+        const node = { oscillator: oscillator, gain: gain }
 
-          this.initialMilliseconds = seconds * 1000
-          this.initialValue = this.millisecondsToTimeObj(this.milliseconds)
-        } else if (len > 0) {
-          tmpStart.seconds = Number.parseInt(matches[3], 10)
-          tmpStart.minutes = (typeof matches[2] === 'string' && matches[2] !== '') ? Number.parseInt(matches[2], 10) : 0
-          tmpStart.hours = (typeof matches[1] === 'string' && matches[1] !== '') ? Number.parseInt(matches[1], 10) : 0
+        oscillator.type = chime.type
+        oscillator.frequency.setValueAtTime(note.frequency, start)
+        gain.gain.setValueAtTime(chime.volume, start)
+        gain.gain.exponentialRampToValueAtTime(ramp, start + note.duration)
 
-          this.initialValue = tmpStart
-          this.initialMilliseconds = this.timeObjToMilliseconds(tmpStart)
+        oscillator.connect(gain)
+        gain.connect(this.getAudioOutput(context))
+
+        oscillator.onended = () => {
+          oscillator.disconnect()
+          gain.disconnect()
+          if (isChime === true) {
+            this.chimeNodes = this.chimeNodes.filter(item => item !== node)
+            if (this.chimeNodes.length === 0) {
+              this.chimeEnded()
+            }
+          }
+        }
+
+        oscillator.start(start)
+        oscillator.stop(start + note.duration)
+        if (isChime === true) {
+          this.chimeNodes.push(node)
         }
-      } else {
-        console.error('talking-timer must have a start value matching the following one of the following patterns: "SS", "MM:SS" or "HH:MM:SS". "' + hoursMinutesSeconds + '" does not match any of these patterns.')
-        return false
       }
-      this.resetTimerValues()
-      return true
-    } else {
-      console.error('talking-timer must have a start value matching the following one of the following patterns: "SS", "MM:SS" or "HH:MM:SS". Empty string provided.')
-      return false
+    }
+
+    if (isChime === true) {
+      this.stopChimeBtn.classList.toggle('hide', this.chimeNodes.length === 0)
     }
   }
 
   /**
-   * timeObjToString() converts the current time remaining for
-   * the countdown into a human readable string
+   * parseCues() works out when beeps & ticks should be played from
+   * the `beep` & `tick` attributes (which use the same tokens as
+   * `say`)
    *
-   * @param {object} timeObj seconds, minutes and hours value
-   *                representing the timer remaining for the timer.
-   * @param {boolean} nonZeroOnly [default: TRUE] whether or not to
-   *                remove most significant fields if they're zero
+   * @param {boolean} countUp whether the timer is a stopwatch
    *
-   * @returns {string} has the following structure "SS", "MM:SS",
-   *                "HH:MM:SS" or "HH:MM:SS:CC" ("CC" = hundredths of
-   *                a second) depending on the value of the `timeObj`
-   *                attribute
+   * @returns {array} cues sorted by offset (last to be played at
+   *                the end)
    */
-  timeObjToString (timeObj, nonZeroOnly) {
-    const tmpTimeObj = (typeof nonZeroOnly !== 'boolean' || nonZeroOnly === true) ? this.onlyGreaterThanZero(timeObj) : { ...timeObj }
-    const fields = Object.keys(tmpTimeObj)
-    const wholeTimeFields = fields.filter(field => field !== 'tenths')
-    const tenthsField = fields.filter(field => field === 'tenths')
+  parseCues (countUp) {
+    const external = this.getGlobal({}, 'cues')
+    const defaults = TalkingTimer.defaultCueSounds
+    let output = []
 
-    let output = ''
-    for (let a = 0; a < wholeTimeFields.length; a += 1) {
-      const field = wholeTimeFields[a]
-      const zero = (tmpTimeObj[field] < 10 && output !== '') ? '0' : ''
-      const colon = (output === '') ? '' : ':'
-      output += colon + zero + Math.round(tmpTimeObj[field])
-    }
+    this.cueSounds = {}
+    this.cueSay = {}
 
-    if (tenthsField.length > 0) {
-      const colon = (output === '') ? '0.' : '.'
-      output += colon + '<span class="tenths">' + Math.round(tmpTimeObj.tenths) + '</span>'
-    } else if (output === '') {
-      output = '0'
-    }
+    Object.keys(defaults).forEach(sound => {
+      const custom = external[sound]
 
-    return output
+      this.cueSounds[sound] = this.normaliseChime((typeof custom === 'object' && custom !== null) ? custom : defaults[sound])
+
+      const raw = this.getAttribute(sound)
+      if (typeof raw !== 'string' || raw.trim() === '') {
+        return
+      }
+
+      this.cueSay[sound] = raw
+
+      const intervals = this.parseRawIntervals(raw, (this.isOpenEnded()) ? TalkingTimer.elapsedWindow : this.initialMilliseconds, {
+        countUp: countUp,
+        openEnded: (this.config.hasLimit === false),
+        attr: sound
+      })
+
+      if (this.isOpenEnded()) {
+        // Stopwatches without a `limit` work out their cues as they
+        // go (see setStopwatchTicker())
+        return
+      }
+
+      output = output.concat(intervals.map(interval => {
+        return { offset: interval.offset, sound: sound, raw: interval.raw }
+      }))
+    })
+
+    return output.sort((a, b) => b.offset - a.offset)
   }
 
   /**
-   * timeObjToMilliseconds() converts the values of a time object to
-   * milliseconds
+   * playDueCues() plays any beeps & ticks that are due before the
+   * next tick of the progress ticker.
    *
-   * @param {object} timeObj
+   * Cues are scheduled on the audio clock so they're played exactly
+   * when they're due (important for a steady metronome)
    *
-   * @returns {number} number of milliseconds the time object represents
+   * @param {number} remaining milliseconds remaining
+   * @param {number} lookAhead milliseconds until the next tick of the
+   *                 progress ticker
+   *
+   * @returns {void}
    */
-  timeObjToMilliseconds (timeObj) {
-    const fields = ['tenths', 'seconds', 'minutes', 'hours']
-
-    const tmpTimeObj = (typeof timeObj.tenths === 'undefined') ? { ...timeObj, 'tenths': 0 } : { ...timeObj }
-
-    let output = 0
-    for (let a = 0; a < 4; a += 1) {
-      const field = fields[a]
-      output += tmpTimeObj[field] * this.multipliers[field]
+  playDueCues (remaining, lookAhead) {
+    while (this.workingCues.length > 0 && this.workingCues[0].offset > (remaining - lookAhead)) {
+      const cue = this.workingCues.shift()
+      const wait = remaining - cue.offset
+
+      // Like announcements, cues that are well overdue (e.g. because
+      // the browser tab was asleep) are skipped
+      if (wait > -2000) {
+        this.playNotes(this.cueSounds[cue.sound], false, Math.max(wait, 0) / 1000)
+        this.dispatch('cue', {
+          sound: cue.sound,
+          raw: cue.raw,
+          offset: cue.offset
+        })
+      }
     }
-
-    return output
   }
 
   /**
-   * millisecondsToTimeObj() converts the number of milliseconds
-   * provided to a timeObj object
-   * @param {number} milliseconds
-   * @returns {object} time object with the form {hours, minutes, seconds, tenths}
+   * stopChime() silences the end chime (including one that's waiting
+   * for the end message to be said)
+   *
+   * @returns {boolean} TRUE if a chime was playing (or about to).
+   *                FALSE otherwise
    */
-  millisecondsToTimeObj (milliseconds) {
-    const fields = ['hours', 'minutes', 'seconds', 'tenths']
+  stopChime () {
+    const nodes = this.chimeNodes
+    const playing = (nodes.length > 0 || this.chimeTimeout !== null || this.chimeAudio !== null || this.chimeWaiting !== null)
 
-    let output = {
-      hours: 0,
-      minutes: 0,
-      seconds: 0,
-      tenths: 0
+    if (this.chimeTimeout !== null) {
+      window.clearTimeout(this.chimeTimeout)
+      this.chimeTimeout = null
+    }
+    this.chimeWaiting = null
+
+    this.chimeNodes = []
+    for (let a = 0; a < nodes.length; a += 1) {
+      nodes[a].oscillator.onended = null
+      try {
+        nodes[a].oscillator.stop()
+      } catch (e) {
+        // Older browsers throw if a note is stopped twice
+      }
+      nodes[a].oscillator.disconnect()
+      nodes[a].gain.disconnect()
     }
-    let remainder = milliseconds
 
-    for (var a = 0; a < 4; a += 1) {
-      const field = fields[a]
-      const tmp = this.getWholePart(remainder, this.multipliers[field])
-      remainder = tmp.part
-      output[field] = tmp.whole
+    if (this.chimeAudio !== null) {
+      this.chimeAudio.onended = null
+      this.chimeAudio.pause()
+      this.chimeAudio = null
     }
 
-    return output
+    this.chimeEnded()
+
+    return playing
   }
 
   /**
-   * getWholePart() (PURE) converts the number of milliseconds
-   * provided into the whole number of units
+   * chimeEnded() tidies up once the chime has finished
    *
-   * @param {number} input the number of millseconds to be converted
-   *                 into approprate time unit
-   *                 (e.g. hours, minutes, seconds, tenths of a second)
-   * @param {number} multiplier the value used to multiply (or divide
-   *                 in this case) the number of milliseconds to get
-   *                 the unit value
-   * @returns {object} two part object containing the "whole" value for
-   *                 the unit and the remaining number of milliseconds
-   *                 to be passed to the next unit
+   * @returns {void}
    */
-  getWholePart (input, multiplier) {
-    const wholeVal = Math.floor(input / multiplier)
-    const partVal = input - (wholeVal * multiplier)
-    return {
-      whole: wholeVal,
-      part: partVal
-    }
+  chimeEnded () {
+    this.chimeAudio = null
+    this.stopChimeBtn.classList.add('hide')
   }
 
   /**
-   * resetTimerValues() resets all the timer values to their original
-   * state then clears the interval timers
+   * getAudioOutput() gets the node all the timer's chimes & cues are
+   * played through (so the timer's volume applies to them)
    *
-   * @returns {void}
+   * @param {AudioContext} context the shared AudioContext
+   *
+   * @returns {GainNode}
    */
-  resetTimerValues () {
-    this.currentValue = { ...this.initialValue }
-    this.remainingMilliseconds = this.initialMilliseconds
-    this.endTime = 0
-    this.clearTimerInterval()
+  getAudioOutput (context) {
+    if (this.audioOutput === null || this.audioOutput.context !== context) {
+      this.audioOutput = context.createGain()
+      this.audioOutput.gain.setValueAtTime(this.getOutputVolume(), context.currentTime)
+      this.audioOutput.connect(context.destination)
+    }
 
-    // Clone sayIntervals so you have something to use next time
-    this.workingIntervals = this.sayIntervals.map(interval => { return { ...interval } })
+    return this.audioOutput
   }
 
   /**
-   * clearTimerInterval() clears interval timers and resets the
-   * timer IDs to null
+   * getOutputVolume() gets how loud the timer's sounds should be
    *
-   * @returns {void}
+   * @returns {number} between 0 (muted) & 1
    */
-  clearTimerInterval () {
-    window.clearInterval(this.progressTicker)
-
-    this.progressTicker = null
+  getOutputVolume () {
+    return (this.isMuted === true) ? 0 : this.speechConfig.volume
   }
 
   /**
-   * parseAttributes() parses the know HTML attributes available to
-   * <talking-timer>
+   * setAudioLevel() changes the volume of (or mutes) all the timer's
+   * sounds and remembers the change for next time the page is loaded
+   *
+   * @param {number} volume between 0 & 1
+   * @param {boolean} muted
    *
    * @returns {void}
    */
-  parseAttributes () {
-    if (this.hasAttribute('time') && this.validateTimeDuration(this.getAttribute('time'))) {
-      this.numbers.innerHTML = this.timeObjToString(this.onlyGreaterThanZero(this.initialValue))
-    } else {
-      // No timer... nothing to do.
-      console.error('talking-timer custom element requires a time attribute which representing the total number of seconds or time string (HH:MM:SS)')
-      return false
-    }
+  setAudioLevel (volume, muted) {
+    const level = Number.parseFloat(volume)
 
-    const configKeys = Object.keys(this.config)
-    for (let a = 0; a < configKeys.length; a += 1) {
-      const key = configKeys[a]
-      const attr = key.toLocaleLowerCase()
-      const val = this.getAttribute(attr)
-      this.config[key] = (typeof val !== 'undefined' && val !== null)
+    if (Number.isNaN(level)) {
+      console.error('talking-timer `volume` must be a number between 0 & 1. "' + volume + '" is not')
+      return
     }
 
-    const endText = this.getAttribute('end-message')
-    if (typeof endText !== 'undefined' && endText !== null) {
-      this.config.noSayEnd = false
-      this.endText = endText
-    }
+    const wasMuted = this.isMuted
 
-    const startText = this.getAttribute('start-message')
-    if (typeof startText === 'string' && startText !== null && startText !== '') {
-      this.config.nosayStart = false
-      this.startText = startText
+    this.speechConfig.volume = Math.min(Math.max(level, 0), 1)
+    this.isMuted = muted
+    this.audioLevel = { volume: this.speechConfig.volume, muted: muted }
+
+    if (muted === true && wasMuted === false) {
+      // Speech can't be made quieter part way through so stop it
+      this.cancelSpeech()
     }
 
-    const priority = this.getAttribute('priority')
-    this.config.priority = (typeof priority !== 'undefined' || priority !== 'time') ? 'fraction' : 'time'
+    this.applyAudioLevel()
+    this.saveAudioLevel()
+    this.dispatch('volumechange', { ...this.audioLevel })
+  }
 
-    let say = this.getAttribute('say')
-    say = (typeof say !== 'string') ? this.sayDefault : say
-    this.say = say
-    this.sayIntervals = this.parseRawIntervals(say, this.initialMilliseconds)
+  /**
+   * applyAudioLevel() updates the volume controls & any sounds that
+   * are playing to match the timer's volume
+   *
+   * @returns {void}
+   */
+  applyAudioLevel () {
+    const volume = this.getOutputVolume()
 
-    let selfDestructOverride = false
+    this.volumeSlider.value = this.speechConfig.volume
+    this.muteBtn.setAttribute('aria-pressed', (this.isMuted === true) ? 'true' : 'false')
+    this.muteBtn.innerHTML = (this.isMuted === true) ? 'Unmute' : 'Mute'
 
-    const autoDestruct = this.getAttribute('selfdestruct')
-    if (typeof autoDestruct === 'string') {
-      const isNum = new RegExp('^[1-9][0-9]*$')
-      if (isNum.test(autoDestruct)) {
-        const intAutoDestruct = Number.parseInt(autoDestruct, 10)
-        this.config.autoDestruct = (intAutoDestruct > 43200) ? 43200 : intAutoDestruct
-        this.config.autoDestruct *= 1000
-        selfDestructOverride = true
-      } else {
-        this.config.autoDestruct = 10000
-      }
-    } else {
-      this.config.autoDestruct = -1
+    if (this.audioOutput !== null) {
+      this.audioOutput.gain.setValueAtTime(volume, this.audioOutput.context.currentTime)
     }
-
-    if (this.config.noCloseBtn === true) {
-      if (selfDestructOverride === true) {
-        // If a number value for `selfdestruct` is set then it overrides
-        // `noclose`
-        this.config.noCloseBtn = false
-      } else {
-        // If `selfdestruct` is just boolean, then `noclose` overrides
-        // `selfdestruct`
-        this.config.autoDestruct = -1
-      }
+    if (this.chimeAudio !== null) {
+      this.chimeAudio.volume = volume
     }
   }
 
   /**
-   * getGlobal() checks to see if `talkingTimerExternalDefaults`
-   * object exists then checks to see if it has the `prop` property
-   * and (if defined) the `subProp` exists on the `prop`. If the type
-   * of the prop/subProp matches the default value supplied, then it
-   * is returned. Otherwise the supplied default is returned.
+   * getAudioLevelKey() gets the key used to save the timer's volume.
+   * Timers without an `id` share their page's volume
    *
-   * @param {any} defaultValue value to be used as default
-   * @param {string} prop property of `talkingTimerExternalDefaults`
-   *                 to be tested.
-   * @param {string} subProp property of `talkingTimerExternalDefaults[prop]`
-   *                 to be tested.
+   * @returns {string}
+   */
+  getAudioLevelKey () {
+    return 'talking-timer-volume:' + window.location.pathname + ((this.id !== '') ? '#' + this.id : '')
+  }
+
+  /**
+   * saveAudioLevel() saves the volume set with the timer's volume
+   * controls
    *
-   * @returns {any} a value with the same type as `defaultValue`
+   * @returns {void}
    */
-  getGlobal (defaultValue, prop, subProp) {
-    if (typeof talkingTimerExternalDefaults !== 'undefined' && typeof prop !== 'undefined') {
-      const propType = typeof talkingTimerExternalDefaults[prop]
-      const defaultType = typeof defaultValue
-      if (propType !== 'undefined') {
-        if (typeof subProp !== 'undefined') {
-          const subPropType = typeof talkingTimerExternalDefaults[prop][subProp]
-          return (subPropType !== 'undefined' && defaultType === subPropType) ? talkingTimerExternalDefaults[prop][subProp] : defaultValue
-        } else if (propType === defaultType) {
-          return talkingTimerExternalDefaults[prop]
-        }
-      }
+  saveAudioLevel () {
+    try {
+      window.localStorage.setItem(this.getAudioLevelKey(), JSON.stringify(this.audioLevel))
+    } catch (e) {
+      // Storage is blocked or full. The volume just won't be
+      // remembered
     }
-    return defaultValue
   }
 
-  //  END:  utility methods
-  // ======================================================
-  // START: raw interval parser
-
   /**
-   * this.parseRawIntervals() builds an array of objects which in turn can
-   * be used to build promises that trigger speach events.
-   *
-   * @param {string} rawIntervals
-   * @param {number} durationMilli
-   * @param {boolean} omit
+   * loadAudioLevel() gets the volume saved the last time the timer's
+   * volume controls were used on this page
    *
-   * @returns {array}
+   * @returns {object|null} `{volume, muted}` or NULL if nothing (valid)
+   *                was saved
    */
-  parseRawIntervals (rawIntervals, durationMilli, omit) {
-    const regex = new RegExp('(?:^|\\s+)(all|every)?[_-]?([0-9]+)?[_-]?((?:la|fir)st)?[_-]?(?:([1-9][0-9]*)[_-]?([smh]?)|([1-9])?[_-]?1\\/([2-9]|10))(?=\\s+|$)', 'ig')
-    let matches
-    let timeIntervals = []
-    let fractionIntervals = []
-    let orderIntervals = []
+  loadAudioLevel () {
+    let saved = null
 
-    if (typeof rawIntervals !== 'string' || rawIntervals === '') {
-      return []
+    try {
+      saved = JSON.parse(window.localStorage.getItem(this.getAudioLevelKey()))
+    } catch (e) {
+      return null
     }
-    const exclude = (typeof omit === 'boolean') ? omit : false
-
-    while ((matches = regex.exec(rawIntervals)) !== null) {
-      const allEvery = (typeof matches[1] !== 'undefined') ? matches[1].toLocaleLowerCase() : ''
-      const firstLast = (typeof matches[3] !== 'undefined') ? matches[3].toLocaleLowerCase() : ''
-
-      let interval = {
-        all: (allEvery === 'all' || firstLast === ''),
-        every: (allEvery === 'every' && firstLast !== ''),
-        multiplier: (typeof matches[2] !== 'undefined' && typeof (matches[2] * 1) === 'number') ? Number.parseInt(matches[2], 10) : 1,
-        relative: firstLast,
-        exclude: exclude,
-        isFraction: false,
-        raw: matches[0]
-      }
-
-      if (interval.every === true) {
-        interval.all = false
-        interval.multiplier = 0
-      } else if (interval.all === true) {
-        interval.multiplier = 0
-      }
-
-      if (typeof matches[7] !== 'undefined') {
-        // item is a fraction
-        const denominator = Number.parseInt(matches[7], 10)
 
-        interval.isFraction = true
-        interval.denominator = denominator
+    if (saved === null || typeof saved !== 'object' || typeof saved.volume !== 'number' || typeof saved.muted !== 'boolean') {
+      return null
+    }
 
-        if (interval.multiplier > (denominator - 1)) {
-          interval.multiplier = (denominator - 1)
-        }
+    return {
+      volume: Math.min(Math.max(saved.volume, 0), 1),
+      muted: saved.muted
+    }
+  }
 
-        const tmpIntervals = this.getFractionOffsetAndMessage(interval, durationMilli, interval.raw)
+  /**
+   * whenAudioRuns() plays a sound once the shared AudioContext is
+   * running. If the browser says it won't let it run (because the
+   * user hasn't interacted with the page yet), the sound is blocked.
+   * Browsers that can't say are left to play it when resume()
+   * finishes (which may not be until the user does something)
+   *
+   * @param {AudioContext} context the shared AudioContext
+   * @param {function} play plays the sound
+   * @param {string} kind "chime" or "cue"
+   *
+   * @returns {void}
+   */
+  whenAudioRuns (context, play, kind) {
+    const due = Date.now()
+    const activation = navigator.userActivation
+    const waiting = {}
+    let missed = null
+
+    if (kind === 'chime') {
+      this.chimeWaiting = waiting
+    }
 
-        if (this.config.priority === 'order') {
-          orderIntervals = orderIntervals.concat(tmpIntervals)
-        } else {
-          fractionIntervals = fractionIntervals.concat(tmpIntervals)
+    context.resume().then(() => {
+      if (context.state !== 'running') {
+        return
+      }
+      if (kind !== 'chime') {
+        // Beeps & ticks are only useful when they're due
+        if (Date.now() - due < 1000) {
+          play()
         }
-      } else {
-        // item is a number
-        matches[4] = Number.parseInt(matches[4], 10)
-        interval.unit = (typeof matches[5] === 'string') ? matches[5].toLocaleLowerCase() : 's'
-        interval.time = matches[4]
+        return
+      }
 
-        const tmpIntervals = this.getTimeOffsetAndMessage(interval, durationMilli, interval.raw)
-        if (this.config.priority === 'order') {
-          orderIntervals = orderIntervals.concat(tmpIntervals)
-        } else {
-          timeIntervals = timeIntervals.concat(tmpIntervals)
+      // The chime is dropped if it has been stopped (e.g. the timer
+      // was reset) or already played again since it was blocked
+      if (this.chimeWaiting !== waiting || (missed !== null && this.missedSounds.chime !== missed)) {
+        return
+      }
+      this.chimeWaiting = null
+      if (missed !== null) {
+        delete this.missedSounds.chime
+      }
+      play()
+    }).catch(() => {})
+
+    if (typeof activation === 'object' && activation !== null) {
+      // The browser won't let audio run until the user has interacted
+      // with the page
+      if (activation.hasBeenActive === false) {
+        // Beeps & ticks are not played again
+        this.audioBlocked(kind, (kind === 'chime') ? play : null)
+        if (kind === 'chime' && typeof this.missedSounds.chime === 'object') {
+          missed = this.missedSounds.chime
         }
       }
+      return
     }
 
-    const output = (this.config.priority === 'order') ? orderIntervals : (this.config.priority === 'time') ? timeIntervals.concat(fractionIntervals) : fractionIntervals.concat(timeIntervals)
-    return this.sortOffsets(this.filterOffsets(output, durationMilli))
+    // Browsers that leave resume() waiting until the user does
+    // something get the sound as soon as they do
+    TalkingTimer.watchForGesture()
   }
 
   /**
-   * this.getFractionOffsetAndMessage() returns a list of time offset
-   * objects based on fractions of total duration of time.
-   *
-   * Used for announcing progress in timer
-   *
-   * @param {object} intervalObj interval object parsed from speak
-   *                 attribute
-   * @param {number} milliseconds number of milliseconds remaining
-   *                 for timer
+   * speechBlocked() is called by the speaker when the browser
+   * refuses to speak (because the user hasn't interacted with the
+   * page yet)
    *
-   * @returns {array} list of interval objects containing offset &
-   *                 message properties used for announcing intervals
+   * @returns {void}
    */
-  getFractionOffsetAndMessage (intervalObj, milliseconds) {
-    let interval = 0
-    const half = milliseconds / 2
+  speechBlocked () {
+    const said = this.lastSaid
 
-    interval = milliseconds / intervalObj.denominator
-    if (intervalObj.denominator === 2) {
-      return [{ message: 'Half way', offset: half, raw: intervalObj.raw }]
+    if (said === null) {
+      this.audioBlocked('speech', null)
+      return
     }
 
-    let offsets = []
-
-    const count = (intervalObj.multiplier === 0 || intervalObj.multiplier >= intervalObj.denominator) ? intervalObj.denominator : intervalObj.multiplier
-
-    if (intervalObj.relative !== '') {
-      const suffix = (intervalObj.relative === 'first') ? this.suffixes.first : this.suffixes.last
-      const minus = (intervalObj.relative === 'first') ? milliseconds : 0
-
-      for (let a = 1; a <= count; a += 1) {
-        offsets.push({
-          offset: this.posMinus(minus, (interval * a)),
-          message: this.makeFractionMessage(a, intervalObj.denominator) + suffix,
-          raw: intervalObj.raw
-        })
-      }
-    } else {
-      for (let a = 1; a <= (count / 2); a += 1) {
-        const message = this.makeFractionMessage(a, intervalObj.denominator)
-        offsets.push({
-          offset: (milliseconds - (interval * a)),
-          message: message + this.suffixes.last
-          // raw: intervalObj.raw
-        },
-        {
-          offset: (interval * a),
-          message: message + this.suffixes.first
-          // raw: intervalObj.raw
-        })
+    this.audioBlocked('speech', () => {
+      if (said.urgency >= 3) {
+        this.saySomething(said.text, 3)
+        return
       }
-    }
 
-    const filtered = offsets.map(item => {
-      if (this.tooClose(item.offset, half)) {
-        return {
-          offset: half,
-          message: this.suffixes.half
-          // raw: item.raw
-        }
-      } else {
-        return item
+      // Announcements are out of date by the time sound is enabled
+      // so say where the timer is up to instead
+      if (this.timerState === 'running' || this.timerState === 'overtime') {
+        this.saySomething(this.getStatusMessage(), 2)
       }
     })
-
-    return filtered
   }
 
   /**
-   * this.getTimeOffsetAndMessage() returns a list of time offset
-   * objects for the given time interval.
+   * getStatusMessage() gets what to say to tell people where the
+   * timer is up to (rounded to whole seconds so it sounds natural)
    *
-   * Used for announcing progress in timer
+   * @returns {string}
+   */
+  getStatusMessage () {
+    if (this.timerState === 'overtime') {
+      return this.makeTimeMessage(Math.round(this.overtime / 1000) * 1000, this.suffixes.over, true)
+    }
+    if (this.config.mode === 'countup') {
+      return this.makeTimeMessage(Math.round(this.elapsed / 1000) * 1000, this.suffixes.first, true)
+    }
+    return this.makeTimeMessage(Math.round(this.remaining / 1000) * 1000, this.suffixes.last, true)
+  }
+
+  /**
+   * audioBlocked() shows the "Tap to enable sound" button and
+   * remembers the sound that was missed so it can be played once
+   * sound is enabled
    *
-   * @param {object} intervalObj interval object parsed from speak
-   *                 attribute
-   * @param {number} milliseconds number of milliseconds remaining
-   *                 for timer
+   * @param {string} kind "speech", "chime" or "cue"
+   * @param {function|null} replay plays the missed sound again
    *
-   * @returns {array} list of interval objects containing offset &
-   *                 message properties used for announcing intervals
+   * @returns {void}
    */
-  getTimeOffsetAndMessage (intervalObj, milliseconds, raw) {
-    const suffix = (intervalObj.relative === 'first') ? this.suffixes.first : this.suffixes.last
-    let offsets = []
-
-    if ((intervalObj.all === true || intervalObj.every === true) || intervalObj.multiplier > 1) {
-      if ((intervalObj.all === true || intervalObj.every === true) && intervalObj.multiplier <= 1) {
-        if (intervalObj.relative === '') {
-          // not relative so announce time relative to nearest edge
-          // of time (e.g. 1 minute to go & 1 minute gone)
-          const half = milliseconds / 2
-          const interval = intervalObj.time * 1000
-          for (let offset = interval; offset <= half; offset += interval) {
-            offsets.push({
-              offset: offset,
-              message: this.makeTimeMessage(offset, this.suffixes.last),
-              raw: intervalObj.raw
-            }, {
-              offset: milliseconds - offset,
-              message: this.makeTimeMessage(offset, this.suffixes.first),
-              raw: intervalObj.raw
-            })
-          }
-        } else {
-          // interval relative === false
-          // i.e. relative = "first" or "last"
-          let interval = 0
-          let count = 0
-          switch (intervalObj.unit) {
-            case 'm':
-              interval = 60000
-              break
-            case 'h':
-              interval = 3600000
-              break
-            case 's':
-            default:
-              interval = 1000
-          }
+  audioBlocked (kind, replay) {
+    if (this.isMuted === true) {
+      // Nothing would have been heard anyway
+      return
+    }
 
-          if (intervalObj.every === true) {
-            interval *= intervalObj.time
-            count = milliseconds / interval
-          } else {
-            count = intervalObj.time
-          }
-          const modifier = (intervalObj.relative !== 'first') ? 0 : milliseconds
-          const forceSufix = (intervalObj.relative === 'first')
-          for (let a = count; a > 0; a -= 1) {
-            const offset = a * interval
-            offsets.push({
-              offset: this.posMinus(modifier, offset),
-              message: this.makeTimeMessage(offset, suffix, forceSufix),
-              raw: intervalObj.raw
-            })
-          }
-        }
-      } else if (intervalObj.multiplier > 1) {
-        const unit = (intervalObj.unit === 's') ? 10000 : (intervalObj.unit === 'm') ? 60000 : 3600000
-        const interval = intervalObj.time * unit
-        const modifier = (intervalObj.relative === 'last') ? 0 : milliseconds
+    if (typeof replay === 'function') {
+      this.missedSounds[kind] = { replay: replay, state: this.timerState }
+    }
 
-        for (let offset = interval; offset <= intervalObj.time; offset += interval) {
-          offsets.push({
-            offset: this.posMinus(modifier, offset),
-            message: this.makeTimeMessage(offset, suffix),
-            raw: intervalObj.raw
-          })
-        }
-      }
-    } else {
-      const interval = intervalObj.time * 1000
-      const offset = (intervalObj.relative !== 'first') ? interval : milliseconds - interval
-      offsets = [{
-        offset: offset,
-        message: this.makeTimeMessage(interval, suffix),
-        raw: raw
-      }]
+    if (TalkingTimer.blockedTimers.has(this)) {
+      return
     }
-    return offsets
+
+    TalkingTimer.blockedTimers.add(this)
+    TalkingTimer.watchForGesture()
+    this.unlockBtn.classList.remove('hide')
+    this.dispatch('audioblocked', { sound: kind })
   }
 
   /**
-   * this.tooClose() checks whether the current value is within 5 seconds
-   * of the previous value
+   * audioUnlocked() hides the "Tap to enable sound" button and plays
+   * the sounds that were missed (as long as the timer is still in
+   * the state they belonged to. e.g. the end chime isn't played if
+   * the timer has been started again)
    *
-   * @param {number} current value to be tested
-   * @param {number} previous value to be tested against
+   * @returns {void}
+   */
+  audioUnlocked () {
+    const missed = this.missedSounds
+    const replayed = ['speech', 'chime'].filter(kind => (typeof missed[kind] === 'object' && missed[kind].state === this.timerState))
+
+    this.missedSounds = {}
+    this.unlockBtn.classList.add('hide')
+
+    for (let a = 0; a < replayed.length; a += 1) {
+      missed[replayed[a]].replay()
+    }
+
+    this.dispatch('audiounlocked', { replayed: replayed })
+  }
+
+  //  END:  speak aloud methods
+  // ======================================================
+}
+
+customElements.define('talking-timer', TalkingTimer)
+
+/**
+ * TalkingTimerGroup is a web component for coordinating a number of
+ * `<talking-timer>` elements on the one page (e.g. one timer per
+ * group of students)
+ *
+ * It can start, pause & reset all its timers at once, run them one
+ * after the other (series) or all at the same time (parallel) and
+ * shares a single speech channel between them so announcements don't
+ * talk over each other.
+ */
+class TalkingTimerGroup extends HTMLElement {
+  constructor () {
+    super()
+
+    /**
+     * @var {boolean} inSeries whether timers are run one after the
+     *                other (TRUE) or all at the same time (FALSE)
+     */
+    this.inSeries = false
+
+    /**
+     * @var {boolean} sequenceActive whether the group is running its
+     *                timers in series (i.e. when one timer ends the
+     *                next one should be started)
+     */
+    this.sequenceActive = false
+
+    /**
+     * @var {number|null} nextTimeout ID of the timeout that starts the
+     *                next timer in a series (once the previous
+     *                timer's end message & chime have finished)
+     */
+    this.nextTimeout = null
+
+    /**
+     * @var {TalkingTimerSpeechQueue} speech the speech channel shared
+     *                by all the group's timers
+     */
+    this.speech = new TalkingTimerSpeechQueue(item => this.prepareSpeech(item))
+    this.lastSpeaker = null
+
+    this.startBtn = null
+    this.pauseBtn = null
+    this.resetBtn = null
+    this.startClick = () => { this.start() }
+    this.pauseClick = () => { this.pause() }
+    this.resetClick = () => { this.reset() }
+    this.timerEnd = (event) => { this.startNext(event.target) }
+
+    let shadowRoot = this.attachShadow({ mode: 'open' })
+    shadowRoot.appendChild(this.getDOM())
+  }
+
+  static get observedAttributes () {
+    return ['run']
+  }
+
+  // ======================================================
+  // START: standard custom element callbacks
+
+  connectedCallback () {
+    this.inSeries = (this.getAttribute('run') === 'series')
+
+    this.startBtn.addEventListener('click', this.startClick)
+    this.pauseBtn.addEventListener('click', this.pauseClick)
+    this.resetBtn.addEventListener('click', this.resetClick)
+    this.addEventListener('talkingtimer:end', this.timerEnd)
+  }
+
+  disconnectedCallback () {
+    this.startBtn.removeEventListener('click', this.startClick)
+    this.pauseBtn.removeEventListener('click', this.pauseClick)
+    this.resetBtn.removeEventListener('click', this.resetClick)
+    this.removeEventListener('talkingtimer:end', this.timerEnd)
+    this.clearNextTimeout()
+  }
+
+  attributeChangedCallback (name, oldValue, newValue) {
+    this.inSeries = (newValue === 'series')
+  }
+
+  //  END:  standard custom element callbacks
+  // ======================================================
+  // START: public API
+
+  /**
+   * getTimers() gets all the `<talking-timer>` elements inside the
+   * group (in document order)
    *
-   * @returns {boolean} TRUE if within 5 seconds of previous value
+   * @returns {array}
    */
-  tooClose (current, previous) {
-    return (current > (previous - 5000) && current < (previous + 5000))
+  getTimers () {
+    return Array.from(this.querySelectorAll('talking-timer'))
   }
 
   /**
-   * this.tooCloseAny() checks a given offset value against previously seen
-   * offsets
+   * start() starts (or resumes) the group's timers.
    *
-   * @param {number} offset
-   * @param {array} previous list of previously seen numbers
+   * In parallel, all the timers are started. In series, a paused
+   * timer is resumed, otherwise the first timer that hasn't been
+   * run is started.
    *
-   * @returns {boolean} TRUE if offset was too close to a previously
-   *                seen offset value. FALSE otherwise
+   * @returns {boolean} TRUE if any timers were started
    */
-  tooCloseAny (offset, previous) {
-    for (let a = 0; a < previous.length; a += 1) {
-      if (this.tooClose(offset, previous[a]) === true) {
-        return true
-      }
+  start () {
+    const timers = this.getTimers()
+
+    if (this.inSeries === false) {
+      return timers.map(timer => timer.start()).indexOf(true) > -1
     }
-    return false
+
+    if (timers.filter(timer => timer.state === 'running').length > 0) {
+      return false
+    }
+
+    const next = timers.filter(timer => timer.state === 'paused').concat(
+      timers.filter(timer => timer.state === 'ready')
+    )
+
+    if (next.length === 0) {
+      return false
+    }
+
+    this.sequenceActive = true
+    return next[0].start()
   }
 
   /**
-   * this.posMinus() ensures that the value of a subtraction is always
-   * positive (or zero)
+   * pause() pauses all the group's running timers
    *
-   * @param {number} a
-   * @param {number} b
+   * @returns {boolean} TRUE if any timers were paused
+   */
+  pause () {
+    const waiting = this.clearNextTimeout()
+
+    return this.getTimers().map(timer => timer.pause()).indexOf(true) > -1 || waiting
+  }
+
+  /**
+   * reset() resets all the group's timers
    *
-   * @return {number} positive value of a - b
+   * @returns {boolean} TRUE if any timers were reset
    */
-  posMinus (a, b) {
-    if (a > b) {
-      return a - b
-    } else {
-      return b - a
-    }
+  reset () {
+    this.sequenceActive = false
+    this.clearNextTimeout()
+    this.speech.cancel()
+    return this.getTimers().map(timer => timer.reset()).indexOf(true) > -1
   }
 
   /**
-   * this.makeTimeMessage() returns a string that can be passed to the text
-   * to web speech API
+   * startNext() starts the next timer in a series after a timer
+   * has finished
    *
-   * @param {number} offset milliseconds
+   * @param {HTMLElement} timer the timer that just finished
    *
-   * @returns {string} textual representation of offset
+   * @returns {void}
    */
-  makeTimeMessage (offset, suffix, forceSufix) {
-    let output = ''
-    let working = offset
-    let comma = ''
+  startNext (timer) {
+    if (this.inSeries === false || this.sequenceActive === false) {
+      return
+    }
 
-    forceSufix = (typeof forceSufix !== 'boolean') ? false : forceSufix
+    const timers = this.getTimers()
+    const next = timers.slice(timers.indexOf(timer) + 1).filter(item => item.state === 'ready')
 
-    if (working < 20000) {
-      // Do not append unit if 10 seconds or less
-      const tmpSuffix = (forceSufix) ? ' seconds' + suffix : (working > 10000) ? ' seconds' : ''
-      return Math.round(working / 1000) + tmpSuffix
+    if (next.length === 0) {
+      this.sequenceActive = false
+      return
     }
 
-    if (working >= 3600000) {
-      const hours = Math.floor(working / 3600000)
-      working -= hours * 3600000
-      output += comma + hours.toString() + ' hour'
-      output += (hours > 1) ? 's' : ''
-      comma = ', '
-    }
+    // Let the previous timer's end message & chime finish so the next
+    // timer doesn't talk over them
+    this.clearNextTimeout()
+    this.nextTimeout = window.setTimeout(() => {
+      this.nextTimeout = null
+      if (this.sequenceActive === true && next[0].state === 'ready') {
+        next[0].start()
+      }
+    }, Math.max(timer.endSoundsUntil - Date.now(), 0))
+  }
 
-    if (working >= 60000) {
-      const minutes = Math.floor(working / 60000)
-      working -= minutes * 60000
-      output = comma + minutes.toString() + ' minute'
-      output += (minutes > 1) ? 's' : ''
-      comma = ', '
+  /**
+   * clearNextTimeout() stops the next timer in a series from being
+   * started
+   *
+   * @returns {boolean} TRUE if the next timer was waiting to start
+   */
+  clearNextTimeout () {
+    if (this.nextTimeout === null) {
+      return false
     }
+    window.clearTimeout(this.nextTimeout)
+    this.nextTimeout = null
+    return true
+  }
 
-    working = Math.round(working / 1000)
-    if (working > 0) {
-      output += comma + working.toString() + ' second'
-      output += (working > 1) ? 's' : ''
-      comma = ', '
-    }
+  //  END:  public API
+  // ======================================================
+  // START: shared speech channel
+
+  /**
+   * prepareSpeech() gets what's needed to say an announcement on the
+   * group's shared speech channel (using the speaker & voice of the
+   * timer making the announcement).
+   *
+   * If the announcement comes from a different timer to the previous
+   * one, it is prefixed with the timer's heading so listeners know
+   * which timer is talking.
+   *
+   * @param {object} item announcement from the speech queue
+   *
+   * @returns {object} speaker, text & options
+   */
+  prepareSpeech (item) {
+    const label = item.source.getLabel()
+    const text = (item.source !== this.lastSpeaker && label !== '') ? label + ', ' + item.text : item.text
 
-    return output + suffix
+    this.lastSpeaker = item.source
+
+    return { speaker: item.source.getSpeaker(), text: text, options: item.source.getSpeechOptions() }
   }
 
+  //  END:  shared speech channel
+  // ======================================================
+  // START: DOM builders
+
   /**
-   * this.makeFractionMessage() returns a string that can be passed to the
-   * text to web speech API
+   * getDOM builds the shadow DOM for the custom element
    *
-   * @param {number} numerator for fraction
-   * @param {number} denominator for fraction
+   * Creates the following nodes:
+   * 1. wrapping div used as the shell of the element
+   * 2. a wrapping div containing the buttons for
+   *    * start all
+   *    * pause all
+   *    * reset all
+   * 3. a slot for the group's timers
+   * 4. a style element with all the CSS for the element
    *
-   * @returns {string} textual representation of the fraction offset
+   * @returns {HTMLElement}
    */
-  makeFractionMessage (numerator, denominator) {
-    let fraction = ''
+  getDOM () {
+    const wrap = document.createElement('div')
+    wrap.setAttribute('class', 'TalkingTimerGroup-wrapper')
 
-    // reduce the denominator to its
-    const newDenominator = (Number.isInteger(denominator / numerator)) ? (denominator / numerator) : denominator
-    switch (newDenominator) {
-      case 2: return this.suffixes.half
-      case 3: fraction = 'third'; break
-      case 4: fraction = 'quarter'; break
-      case 5: fraction = 'fifth'; break
-      case 6: fraction = 'sixth'; break
-      case 7: fraction = 'seventh'; break
-      case 8: fraction = 'eighth'; break
-      case 9: fraction = 'ninth'; break
-      case 10: fraction = 'tenth'; break
-    }
+    const btnWrap = document.createElement('div')
+    btnWrap.setAttribute('class', 'btn-wrapper')
 
-    const newNumerator = (numerator / (denominator / newDenominator))
-    const s = (newNumerator > 1) ? 's' : ''
+    this.startBtn = this.getBtn('startBtn', 'Start all ', '&bigtriangledown;')
+    this.pauseBtn = this.getBtn('pauseBtn', 'Pause all ', '&Verbar;')
+    this.resetBtn = this.getBtn('resetBtn', 'Reset all ', '&hookleftarrow;')
+
+    btnWrap.appendChild(this.startBtn)
+    btnWrap.appendChild(this.pauseBtn)
+    btnWrap.appendChild(this.resetBtn)
+    wrap.appendChild(btnWrap)
+
+    wrap.appendChild(document.createElement('slot'))
 
-    return newNumerator + ' ' + fraction + s
+    const style = document.createElement('style')
+    style.appendChild(this.initStyle())
+    wrap.appendChild(style)
+
+    return wrap
   }
 
   /**
-   * this.sortOffsets() sorts a list of offset objects by their offset value
+   * getBtn() builds a single button
    *
-   * @param {array} input list of offset objects to be sorted
+   * @param {string} className class name for the button
+   * @param {string} text text for the button
+   * @param {string} icon HTML entity for the button's icon
    *
-   * @returns {array} items are sorted by offset
+   * @returns {HTMLElement}
    */
-  sortOffsets (input) {
-    return input.sort((a, b) => {
-      if (a.offset < b.offset) {
-        return 1
-      } else if (a.offset > b.offset) {
-        return -1
-      } else {
-        return 0
-      }
-    })
+  getBtn (className, text, icon) {
+    const btnIcon = document.createElement('span')
+    btnIcon.setAttribute('class', 'non-sr icon')
+    btnIcon.innerHTML = icon
+
+    const btn = document.createElement('button')
+    btn.setAttribute('class', className)
+    btn.appendChild(document.createTextNode(text))
+    btn.appendChild(btnIcon)
+
+    return btn
   }
 
   /**
-   * this.filterOffsets() removes duplicates an items that are too close
-   * to preceeding items
-   *
-   * @param {array} offsets list of offset objects
+   * initStyle() returns block of CSS for styling the
+   * <talking-timer-group> element's shadow DOM
    *
-   * @returns {array} list of offset objects excluding duplicates and
-   *                closely occuring items
+   * @returns {textNode} CSS string
    */
-  filterOffsets (offsets, max) {
-    let found = []
-    return offsets.filter(item => {
-      if (found.indexOf(item.offset) === -1 && (item.offset <= 30000 || !this.tooCloseAny(item.offset, found)) && item.offset < max && item.offset > 0) {
-        found.push(item.offset)
-        return true
-      } else {
-        return false
+  initStyle () {
+    return document.createTextNode(`
+      :host {
+        --group-btn-background: #fff;
+        --group-btn-border-color: #c0e;
+        --group-btn-border-width: 0.05em;
+        --group-btn-size: 1.25em;
+        --group-btn-padding: 0.5em 0;
+        --group-btn-hover-background: #eee;
+
+        display: block;
       }
-    })
+
+      .btn-wrapper {
+        align-items: stretch;
+        display: flex;
+        justify-content: space-between;
+      }
+
+      button {
+        background-color: var(--group-btn-background);
+        border-width: var(--group-btn-border-width);
+        border-style: solid;
+        border-color: var(--group-btn-border-color);
+        flex-grow: 1;
+        font-size: var(--group-btn-size);
+        font-variant: small-caps;
+        padding: var(--group-btn-padding);
+      }
+
+      button:hover {
+        background-color: var(--group-btn-hover-background);
+        cursor: pointer;
+      }
+
+      button .icon {
+        display: inline-block;
+        font-weight: bold;
+        margin-left: 0.3em;
+      }
+      `
+    )
   }
 
-  //  END:  raw interval parser
+  //  END:  DOM builders
   // ======================================================
-  // START: speak aloud methods
+}
+
+customElements.define('talking-timer-group', TalkingTimerGroup)
+
+/**
+ * TalkingTimerPreview shows the announcements a `<talking-timer>`
+ * with the same `time`, `say`, `mode`, `priority` & `lang`
+ * attributes would make, as a table (e.g. to check a `say` string
+ * before a lesson)
+ */
+class TalkingTimerPreview extends HTMLElement {
+  constructor () {
+    super()
 
-  saySomething (text) {
-    const sayThis = new SpeechSynthesisUtterance(text)
-    const voiceName = 'English (Australia)'
+    /**
+     * @var {TalkingTimer} timer (never added to the page) used to
+     *                work out & format the schedule
+     */
+    this.timer = document.createElement('talking-timer')
+    this.timer.applyLocale()
+    this.tbody = null
+    this.caption = null
+    this.initialised = false
+
+    let shadowRoot = this.attachShadow({ mode: 'open' })
+    shadowRoot.appendChild(this.getDOM())
+  }
+
+  static get observedAttributes () {
+    return ['lang', 'mode', 'priority', 'say', 'time']
+  }
+
+  // ======================================================
+  // START: standard custom element callbacks
 
-    sayThis.volume = 2
-    sayThis.rate = 1
-    sayThis.pitch = 1
-    sayThis.voice = speechSynthesis.getVoices().filter(function (voice) {
-      return voice.name === voiceName
-    })[0]
+  connectedCallback () {
+    this.initialised = true
+    this.render()
+  }
 
-    this.voice.speak(sayThis)
+  attributeChangedCallback (name, oldValue, newValue) {
+    // Before connectedCallback() the table will be rendered anyway
+    if (oldValue !== newValue && this.initialised === true) {
+      this.render()
+    }
   }
 
+  //  END:  standard custom element callbacks
+  // ======================================================
+  // START: public API
+
   /**
-   * speakAfterSeconds() uses the Web Speech API's Speech Synthisis
-   * interface to announce time intervals for the talking-timer
+   * getSchedule() lists the announcements for the element's
+   * attributes
    *
-   * @param {string} text Information to be spoken
-   * @param {number} seconds time before the text is to be spoken.
-   *
-   * @returns {Promise}
+   * @returns {array} list of `{offset, message, raw}` objects
    */
-  speakAfterSeconds (text, seconds) {
-    const speakAfterSecondsCallback = async () => {
-      const milliseconds = seconds * 1000
-      // SpeechSynthesis.speak(text)
-      window.setTimeout(text, milliseconds)
+  getSchedule () {
+    const timer = this.timer
+    const mode = this.getAttribute('mode')
+    const countUp = (mode === 'countup' || mode === 'stopwatch')
+    const time = this.getAttribute('time')
+    let say = this.getAttribute('say')
+    let lang = this.getAttribute('lang')
+
+    if (typeof say !== 'string') {
+      say = (countUp === true) ? timer.sayDefaultCountUp : timer.sayDefault
     }
-    return speakAfterSecondsCallback
+    if (typeof lang !== 'string' || lang === '') {
+      const parent = this.closest('[lang]')
+      lang = (parent !== null) ? parent.getAttribute('lang') : ''
+    }
+
+    if (typeof time !== 'string' && countUp === false) {
+      timer.sayErrors = []
+      return []
+    }
+
+    // Stopwatches without a `limit` list their first hour
+    return timer.getSchedule(say, (typeof time === 'string') ? time : TalkingTimer.elapsedWindow, {
+      mode: (countUp === true) ? 'countup' : 'countdown',
+      openEnded: (countUp === true && typeof time !== 'string'),
+      priority: this.getAttribute('priority'),
+      lang: lang
+    })
   }
 
   /**
-   * speakInterval() uses the Web Speech API's Speech Synthisis
-   * interface to announce time intervals at a fixed interval
+   * render() (re)builds the table of announcements
    *
-   * @param {string} text Information to be spoken
-   * @param {number} interval number of seconds for the interval
-   *                 between when last text was spoken and when the
-   *                 next speaking commences
-   *
-   * @returns {Promise}
+   * @returns {void}
    */
-  speakInterval (text, interval) {
+  render () {
+    const timer = this.timer
+    const schedule = this.getSchedule()
+    const time = this.getAttribute('time')
+    const openEnded = (typeof time !== 'string' || typeof timer.parseTimeDuration(time) === 'string')
+    const duration = (openEnded === false) ? timer.timeObjToMilliseconds(timer.parseTimeDuration(time)) : TalkingTimer.elapsedWindow
+    const toTime = (milliseconds) => {
+      const timeObj = timer.millisecondsToDurationObj(milliseconds)
+
+      if (duration < 3600000) {
+        // Keep the columns lined up (e.g. "0:30" & "1:30")
+        delete timeObj.days
+        delete timeObj.hours
+      }
+      return timer.timeObjToString(timeObj, false)
+    }
+
+    this.tbody.innerHTML = ''
+
+    for (let a = 0; a < schedule.length; a += 1) {
+      const row = document.createElement('tr')
+      const cells = [
+        toTime(duration - schedule[a].offset),
+        // Nothing is remaining if there's no end
+        (openEnded === true) ? '' : toTime(schedule[a].offset),
+        schedule[a].message,
+        schedule[a].raw
+      ]
+
+      for (let b = 0; b < cells.length; b += 1) {
+        const cell = document.createElement('td')
+        cell.textContent = cells[b]
+        row.appendChild(cell)
+      }
+      this.tbody.appendChild(row)
+    }
 
+    let caption = (schedule.length === 1) ? '1 announcement' : schedule.length + ' announcements'
+    if (timer.sayErrors.length > 0) {
+      caption += '. Not understood (ignored): ' + timer.sayErrors.join(', ')
+    }
+    this.caption.textContent = caption
   }
 
+  //  END:  public API
+  // ======================================================
+  // START: DOM builders
+
   /**
-   * speakIntervalAfterSeconds() uses the Web Speech API's Speech
-   * Synthisis interface to announce time intervals at a fixed
-   * interval starting after a specified number of seconds
+   * getDOM() builds the shadow DOM for the custom element
    *
-   * @param {string} text Information to be spoken
-   * @param {number} seconds time before the text is to be spoken.
+   * Creates the following nodes:
+   * 1. wrapping table
+   * 2. caption with the number of announcements
+   * 3. table header with columns for time elapsed, time remaining,
+   *    what is said & the `say` token that produced it
+   * 4. table body (filled by render())
+   * 5. a style element with all the CSS for the element
    *
-   * @returns {Promise}
+   * @returns {HTMLElement}
    */
-  speakIntervalAfterSeconds (text, seconds) {
+  getDOM () {
+    const wrap = document.createElement('div')
+    wrap.setAttribute('class', 'TalkingTimerPreview-wrapper')
+
+    const table = document.createElement('table')
+    const caption = document.createElement('caption')
+    const thead = document.createElement('thead')
+    const headRow = document.createElement('tr')
+    const headings = ['Elapsed', 'Remaining', 'Message', 'From']
+
+    for (let a = 0; a < headings.length; a += 1) {
+      const th = document.createElement('th')
+      th.setAttribute('scope', 'col')
+      th.appendChild(document.createTextNode(headings[a]))
+      headRow.appendChild(th)
+    }
+    thead.appendChild(headRow)
+
+    const tbody = document.createElement('tbody')
+
+    table.appendChild(caption)
+    table.appendChild(thead)
+    table.appendChild(tbody)
+    wrap.appendChild(table)
+
+    this.caption = caption
+    this.tbody = tbody
 
+    const style = document.createElement('style')
+    style.appendChild(this.initStyle())
+    wrap.appendChild(style)
+
+    return wrap
   }
 
-  endSound () {
-    /**
-     * @var {number} duration the length of time (in seconds) a
-     *               sound makes
-     */
-    const durationTime = 0.75
-    /**
-     * @var {number} interval the number of seconds between sounds
-     *               starting
-     */
-    const interval = 0.425
-    /**
-     * @var {number} ramp no idea what this is for. See MDN docs
-     * https://developer.mozilla.org/en-US/docs/Web/API/AudioParam/exponentialRampToValueAtTime
-     */
-    const ramp = 0.00001
-    /**
-     * @var {array} tones list of frequencies to be played
-     */
-    const tones = [440, 261.6, 830.6, 440, 261.6, 830.6, 392, 440, 261.6, 830.6, 440, 261.6, 830.6, 392, 440]
+  /**
+   * initStyle() returns block of CSS for styling the
+   * <talking-timer-preview> element's shadow DOM
+   *
+   * @returns {textNode} CSS string
+   */
+  initStyle () {
+    return document.createTextNode(`
+      :host {
+        --preview-border-color: #ccc;
+        --preview-border-width: 0.05em;
+        --preview-head-background: #eee;
+        --preview-padding: 0.25em 0.5em;
+        --preview-time-family: verdana, arial, helvetica, sans-serif;
+        --preview-raw-color: #555;
 
-    /**
-     * @var {number} offset number of milliseconds from calling the
-     *               sound is to start playing
-     */
-    let offset = 0
+        display: block;
+      }
 
-    var context = new AudioContext()
+      table {
+        border-collapse: collapse;
+        width: 100%;
+      }
 
-    function playTone (frequency, duration, offset) {
-      return function (resolve, reject) {
-        var oscillator = context.createOscillator()
-        var gain = context.createGain()
+      caption {
+        caption-side: bottom;
+        text-align: left;
+      }
 
-        oscillator.connect(gain)
+      th,
+      td {
+        border: var(--preview-border-width) solid var(--preview-border-color);
+        padding: var(--preview-padding);
+        text-align: left;
+      }
 
-        gain.connect(context.destination)
-        gain.gain.exponentialRampToValueAtTime(
-          ramp,
-          context.currentTime + duration
-        )
+      th {
+        background-color: var(--preview-head-background);
+      }
 
-        oscillator.frequency.value = frequency
-        oscillator.start(0)
+      td:nth-child(1),
+      td:nth-child(2) {
+        font-family: var(--preview-time-family);
+        text-align: right;
       }
-    }
 
-    for (let a = 0; a < tones.length; a += 1) {
-      let promise = new Promise(function (resolve, reject) {
-        const toneFunc = playTone(tones[a], durationTime, offset)
-        window.setTimeout(toneFunc, offset)
-      })
-      offset += (interval * 1000)
-    }
+      td:nth-child(4) {
+        color: var(--preview-raw-color);
+        font-family: monospace;
+      }
+      `
+    )
   }
 
-  //  END:  speak aloud methods
+  //  END:  DOM builders
   // ======================================================
 }
 
-customElements.define('talking-timer', TalkingTimer)
+customElements.define('talking-timer-preview', TalkingTimerPreview)